@@ -10,6 +10,18 @@
 /// <reference path="./types/reviews.d.ts" />
 /// <reference path="./types/ratings.d.ts" />
 /// <reference path="./types/constants.d.ts" />
+/// <reference path="./types/scheduler.d.ts" />
+/// <reference path="./types/fixtures.d.ts" />
+/// <reference path="./types/cache.d.ts" />
+/// <reference path="./types/events.d.ts" />
+/// <reference path="./types/logger.d.ts" />
+/// <reference path="./types/amp.d.ts" />
+/// <reference path="./types/breaker.d.ts" />
+/// <reference path="./types/agents.d.ts" />
+/// <reference path="./types/schema.d.ts" />
+/// <reference path="./types/meta.d.ts" />
+/// <reference path="./types/url.d.ts" />
+/// <reference path="./types/artwork.d.ts" />
 
 declare namespace AppStoreScraper {
   // Re-export all types from individual modules
@@ -21,26 +33,62 @@ declare namespace AppStoreScraper {
   export * from './types/reviews';
   export * from './types/ratings';
   export * from './types/constants';
+  export * from './types/scheduler';
+  export * from './types/fixtures';
+  export * from './types/cache';
+  export * from './types/events';
+  export * from './types/logger';
+  export * from './types/amp';
+  export * from './types/breaker';
+  export * from './types/agents';
+  export * from './types/schema';
+  export * from './types/meta';
+  export * from './types/url';
+  export * from './types/artwork';
 
   /**
    * Memoization options for caching API responses
    */
   export interface MemoizeOptions {
-    /** Cache primitive values only */
+    /** Where results are kept (default: a MemoryStore) */
+    store?: CacheStore;
+    /** Freshness in milliseconds, globally or per method (default: maxAge) */
+    ttl?: PerMethodDuration;
+    /** How long expired results are still served while refreshed in the background (default: 0) */
+    staleWhileRevalidate?: PerMethodDuration;
+    /** Cache primitive values only (ignored, kept for compatibility) */
     primitive?: boolean;
-    /** Function to normalize cache keys */
+    /** Function to normalize cache keys (default: order-independent serialization of the options) */
     normalizer?: (args: any[]) => string;
     /** Cache TTL in milliseconds (default: 300000 = 5 minutes) */
     maxAge?: number;
-    /** Maximum number of cached items (default: 1000) */
+    /** Maximum number of cached items of the default MemoryStore (default: 1000) */
     max?: number;
   }
 
+  /**
+   * Options shared by every method of a client created with createClient()
+   */
+  export interface ClientOptions extends BaseOptions {
+    /** Cache the client results: true for the default settings, or custom memoization options */
+    cache?: boolean | MemoizeOptions;
+  }
+
+  /**
+   * Methods bound to the options given to createClient()
+   */
+  export interface Client extends MemoizedMethods, Constants, Partial<CacheControl> {
+    /** The circuit breaker of the client, with `circuitBreaker: true` or a breaker in the options */
+    breaker?: CircuitBreaker;
+  }
+
   /**
    * Memoized version of all scraper methods with caching
    */
   export interface MemoizedMethods {
     app: typeof app;
+    apps: typeof apps;
+    appAcrossCountries: typeof appAcrossCountries;
     list: typeof list;
     search: typeof search;
     developer: typeof developer;
@@ -50,6 +98,8 @@ declare namespace AppStoreScraper {
     reviews: typeof reviews;
     ratings: typeof ratings;
     versionHistory: typeof versionHistory;
+    inAppPurchases: typeof inAppPurchases;
+    ampCatalog: typeof ampCatalog;
   }
 }
 
@@ -58,6 +108,16 @@ declare namespace AppStoreScraper {
  */
 declare function app(options: AppStoreScraper.AppOptions): Promise<AppStoreScraper.AppResult>;
 
+/**
+ * Get many apps at once, missing ones are reported as NotFoundError entries
+ */
+declare function apps(options: AppStoreScraper.AppsOptions): Promise<AppStoreScraper.AppsResult>;
+
+/**
+ * Get the price, availability and rating of an app in many storefronts
+ */
+declare function appAcrossCountries(options: AppStoreScraper.AppAcrossCountriesOptions): Promise<AppStoreScraper.AppAcrossCountriesResult>;
+
 /**
  * Search for apps in the App Store
  */
@@ -103,10 +163,40 @@ declare function ratings(options: AppStoreScraper.RatingsOptions): Promise<AppSt
  */
 declare function versionHistory(options: AppStoreScraper.VersionHistoryOptions): Promise<AppStoreScraper.VersionHistoryResult[]>;
 
+/**
+ * Get the in-app purchases of an app, every page of the catalog included
+ */
+declare function inAppPurchases(options: AppStoreScraper.InAppPurchasesOptions): Promise<AppStoreScraper.InAppPurchaseResult[]>;
+
+/**
+ * Get raw amp-api catalog resources with their relationships resolved
+ */
+declare function ampCatalog(options: AppStoreScraper.AmpCatalogOptions): Promise<AppStoreScraper.AmpDocument>;
+
+/**
+ * Parse recorded fixtures with every response parser to detect format changes
+ */
+declare function selfCheck(options: AppStoreScraper.SelfCheckOptions): Promise<AppStoreScraper.SelfCheckResult>;
+
+/**
+ * Read the id, country, platform and custom product page of an App Store link
+ */
+declare function parseUrl(url: string): AppStoreScraper.ParsedUrl;
+
+/**
+ * Parse and rebuild mzstatic artwork URLs at any size, crop and format
+ */
+declare const artwork: AppStoreScraper.ArtworkUtility;
+
 /**
  * Create memoized versions of all methods with caching
  */
-declare function memoized(options?: AppStoreScraper.MemoizeOptions): AppStoreScraper.MemoizedMethods & AppStoreScraper.Constants;
+declare function memoized(options?: AppStoreScraper.MemoizeOptions): AppStoreScraper.MemoizedMethods & AppStoreScraper.CacheControl & AppStoreScraper.Constants;
+
+/**
+ * Create a set of methods bound to the given options (transport, country...)
+ */
+declare function createClient(options?: AppStoreScraper.ClientOptions): AppStoreScraper.Client;
 
 // Export constants
 declare const collection: AppStoreScraper.Collection;
@@ -116,9 +206,47 @@ declare const sort: AppStoreScraper.Sort;
 declare const country: AppStoreScraper.Country;
 declare const markets: AppStoreScraper.Markets;
 
+/**
+ * Process-wide request scheduler shared by every method
+ */
+declare const scheduler: AppStoreScraper.Scheduler;
+
+/**
+ * Process-wide circuit breaker, one circuit per upstream endpoint and
+ * transport, used once enabled or with `circuitBreaker: true`
+ */
+declare const breaker: AppStoreScraper.CircuitBreaker;
+
+/**
+ * Instrumentation events: request, response, retry, cache-hit, parse-error
+ */
+declare const events: AppStoreScraper.Events;
+
+/**
+ * Process-wide logging settings: custom logger, level and redaction
+ */
+declare const logger: AppStoreScraper.LoggerControl;
+
+/**
+ * Shared keep-alive agents used by the built-in transport
+ */
+declare const agents: AppStoreScraper.Agents;
+
+/**
+ * Record/replay fixtures for offline runs
+ */
+declare const fixtures: AppStoreScraper.Fixtures;
+
+/**
+ * Error classes thrown by the library
+ */
+declare const errors: typeof import('./types/errors');
+
 // Main module interface
 interface AppStoreScraperModule extends AppStoreScraper.Constants {
   app: typeof app;
+  apps: typeof apps;
+  appAcrossCountries: typeof appAcrossCountries;
   search: typeof search;
   list: typeof list;
   developer: typeof developer;
@@ -128,7 +256,23 @@ interface AppStoreScraperModule extends AppStoreScraper.Constants {
   reviews: typeof reviews;
   ratings: typeof ratings;
   versionHistory: typeof versionHistory;
+  inAppPurchases: typeof inAppPurchases;
+  ampCatalog: typeof ampCatalog;
   memoized: typeof memoized;
+  createClient: typeof createClient;
+  selfCheck: typeof selfCheck;
+  parseUrl: typeof parseUrl;
+  artwork: typeof artwork;
+  MemoryStore: typeof AppStoreScraper.MemoryStore;
+  FileStore: typeof AppStoreScraper.FileStore;
+  scheduler: typeof scheduler;
+  breaker: typeof breaker;
+  CircuitBreaker: typeof AppStoreScraper.CircuitBreaker;
+  events: typeof events;
+  logger: typeof logger;
+  agents: typeof agents;
+  fixtures: typeof fixtures;
+  errors: typeof errors;
 }
 
 declare const appStoreScraper: AppStoreScraperModule;
@@ -1,11 +1,26 @@
 'use strict';
 
 const R = require('ramda');
-const memoizee = require('memoizee');
 const constants = require('./lib/constants');
+const { cacheMethods, MemoryStore, FileStore } = require('./lib/cache');
+const { scheduler } = require('./lib/scheduler');
+const { breaker, CircuitBreaker } = require('./lib/breaker');
+const errors = require('./lib/errors');
+const { abortable } = require('./lib/abort');
+const events = require('./lib/events');
+const logger = require('./lib/logger');
+const agents = require('./lib/agents');
+const fixtures = require('./lib/fixtures');
+const selfCheck = require('./lib/self-check');
+const { parseUrl, countryOf } = require('./lib/url');
+const artwork = require('./lib/artwork');
 
-const methods = {
+// Every method honors the `signal` and `timeout` options, and tags its
+// requests with its name for the instrumentation events and hooks
+const methods = R.mapObjIndexed((fn, name) => abortable(events.instrumented(name, fn)), {
   app: require('./lib/app'),
+  apps: require('./lib/apps'),
+  appAcrossCountries: require('./lib/app-across-countries'),
   list: require('./lib/list'),
   search: require('./lib/search'),
   developer: require('./lib/developer'),
@@ -14,18 +29,93 @@ const methods = {
   similar: require('./lib/similar'),
   reviews: require('./lib/reviews'),
   ratings: require('./lib/ratings'),
-  versionHistory: require('./lib/version-history')
-};
+  versionHistory: require('./lib/version-history'),
+  inAppPurchases: require('./lib/in-app-purchases'),
+  ampCatalog: require('./lib/amp-catalog')
+});
 
+// The `artwork` helpers are added on the way out, so cached results get them
+// too. Cache controls (invalidate, clear) are left as they are.
+function withArtwork (fns, defaults) {
+  return R.mapObjIndexed((fn, name) => methods[name] ? artwork.decorate(fn, defaults) : fn, fns);
+}
+
+// By default results are kept in memory for 5 minutes, up to 1k per store.
+// See lib/cache.js for persistent stores, per-method TTLs and stale-while-revalidate.
 function memoized (opts) {
-  const cacheOpts = Object.assign({
-    primitive: true,
-    normalizer: JSON.stringify,
-    maxAge: 1000 * 60 * 5, // cache for 5 minutes
-    max: 1000 // save up to 1k results to avoid memory issues
-  }, opts);
-  const doMemoize = (fn) => memoizee(fn, cacheOpts);
-  return Object.assign({}, constants, R.map(doMemoize, methods));
+  return Object.assign({}, constants, withArtwork(cacheMethods(methods, opts)));
+}
+
+// Call options take precedence over the client defaults; request options and
+// their headers are merged instead of replaced.
+function withDefaults (defaults, opts) {
+  const merged = Object.assign({}, defaults, opts);
+  // the country of the links given in the call beats the client default
+  const countries = R.uniq([].concat((opts && (opts.url || opts.urls)) || []).map(countryOf));
+  if (opts && opts.country === undefined && countries.length === 1 && countries[0]) {
+    delete merged.country;
+  }
+  if (defaults.requestOptions && opts && opts.requestOptions) {
+    merged.requestOptions = Object.assign({}, defaults.requestOptions, opts.requestOptions, {
+      headers: Object.assign({}, defaults.requestOptions.headers, opts.requestOptions.headers)
+    });
+  }
+  return merged;
+}
+
+/**
+ * Returns every method bound to the given defaults (country, lang, throttle,
+ * retry, transport, requestOptions...). With `cache` the client memoizes its
+ * results in a cache of its own, so several clients can live side by side.
+ */
+function createClient (options) {
+  options = options || {};
+  if (typeof options !== 'object') {
+    throw new errors.ValidationError('Client options must be an object');
+  }
+  if (options.country && (typeof options.country !== 'string' || options.country.length !== 2)) {
+    throw errors.ErrorHelpers.invalidParameter('country', options.country, 'Must be a 2-letter country code (e.g., "us", "gb", "fr")');
+  }
+
+  const defaults = R.omit(['cache'], options);
+  // a client opting in gets circuits of its own, untouched by other clients
+  if (defaults.circuitBreaker === true) {
+    defaults.circuitBreaker = new CircuitBreaker();
+  }
+  const bind = (fn) => (opts) => fn(withDefaults(defaults, opts));
+  let bound = R.map(bind, methods);
+
+  // the defaults are applied before the cache key is built, so clients with
+  // other defaults sharing a store don't serve each other's results
+  if (options.cache) {
+    const cached = cacheMethods(methods, options.cache === true ? {} : options.cache);
+    bound = Object.assign(R.map(bind, R.pick(Object.keys(methods), cached)), {
+      invalidate: (method, opts) => cached.invalidate(method, opts === undefined ? opts : withDefaults(defaults, opts)),
+      clear: cached.clear
+    });
+  }
+
+  const client = Object.assign({}, constants, withArtwork(bound, defaults));
+  if (defaults.circuitBreaker instanceof CircuitBreaker) {
+    client.breaker = defaults.circuitBreaker;
+  }
+  return client;
 }
 
-module.exports = Object.assign({memoized}, constants, methods);
+module.exports = Object.assign({
+  memoized,
+  createClient,
+  selfCheck,
+  parseUrl,
+  artwork: R.pick(['parse', 'build'], artwork),
+  MemoryStore,
+  FileStore,
+  scheduler,
+  breaker,
+  CircuitBreaker,
+  agents: R.pick(['configure', 'stats', 'destroy'], agents),
+  fixtures,
+  errors,
+  events: events.emitter,
+  logger: R.pick(['configure', 'redact', 'LEVELS'], logger)
+}, constants, withArtwork(methods));
@@ -0,0 +1,142 @@
+'use strict';
+
+const { AbortError, ErrorHelpers } = require('./errors');
+
+/**
+ * Returns the AbortError to reject with once `signal` has fired. Timeouts abort
+ * with an AbortError already; any other reason is wrapped in one.
+ */
+function abortError (signal) {
+  const reason = signal.reason;
+  if (reason instanceof AbortError) {
+    return reason;
+  }
+  return new AbortError('The operation was aborted', 'signal', {
+    cause: reason && reason.message ? reason.message : reason
+  });
+}
+
+function throwIfAborted (signal) {
+  if (signal && signal.aborted) {
+    throw abortError(signal);
+  }
+}
+
+// Calls `listener` once when `signal` fires, returns a function removing it.
+function onAbort (signal, listener) {
+  if (!signal) {
+    return () => {};
+  }
+  signal.addEventListener('abort', listener, { once: true });
+  return () => signal.removeEventListener('abort', listener);
+}
+
+/**
+ * Settles like `promise`, or rejects with an AbortError as soon as `signal`
+ * fires, whichever comes first.
+ */
+function race (promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(abortError(signal));
+      return;
+    }
+    const remove = onAbort(signal, () => reject(abortError(signal)));
+    promise.then((value) => {
+      remove();
+      resolve(value);
+    }, (error) => {
+      remove();
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Waits `ms` milliseconds, rejecting early with an AbortError if `signal` fires.
+ */
+function sleep (ms, signal) {
+  return race(new Promise((resolve) => {
+    const remove = onAbort(signal, () => clearTimeout(timer));
+    const timer = setTimeout(() => {
+      remove();
+      resolve();
+    }, ms);
+  }), signal);
+}
+
+/**
+ * Combines the `signal` and `timeout` options into a single signal. `done`
+ * must be called once the call settles to clear the timer.
+ * @returns {{ signal: AbortSignal|undefined, done: Function }}
+ */
+function link (opts) {
+  const signal = opts && opts.signal;
+  const timeout = opts && opts.timeout;
+
+  if (timeout === undefined || timeout === null) {
+    return { signal, done: () => {} };
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => {
+    controller.abort(new AbortError(`Operation timed out after ${timeout}ms`, 'timeout', { timeout }));
+  }, timeout);
+  const remove = onAbort(signal, () => controller.abort(signal.reason));
+  if (signal && signal.aborted) {
+    controller.abort(signal.reason);
+  }
+
+  return {
+    signal: controller.signal,
+    done: () => {
+      clearTimeout(timer);
+      remove();
+    }
+  };
+}
+
+function validate (opts) {
+  if (!opts) {
+    return;
+  }
+  if (opts.timeout !== undefined && opts.timeout !== null && (typeof opts.timeout !== 'number' || opts.timeout <= 0)) {
+    throw ErrorHelpers.invalidParameter('timeout', opts.timeout, 'Must be a positive number of milliseconds');
+  }
+  if (opts.signal && typeof opts.signal.addEventListener !== 'function') {
+    throw ErrorHelpers.invalidParameter('signal', opts.signal, 'Must be an AbortSignal');
+  }
+}
+
+/**
+ * Wraps a public method so that it honors the `signal` and `timeout` options.
+ * The combined signal is handed down in `opts.signal`, so every request made
+ * by the method is cancelled with it, and the call rejects with an AbortError
+ * right away instead of waiting for the current step to notice.
+ */
+function abortable (fn) {
+  return (opts) => {
+    try {
+      validate(opts);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    const { signal, done } = link(opts);
+    if (!signal) {
+      return fn(opts);
+    }
+    if (signal.aborted) {
+      done();
+      return Promise.reject(abortError(signal));
+    }
+
+    const call = Promise.resolve().then(() => fn(Object.assign({}, opts, { signal })));
+    return race(call, signal).finally(done);
+  };
+}
+
+module.exports = { abortable, abortError, throwIfAborted, onAbort, race, sleep, link };
@@ -0,0 +1,90 @@
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const debug = require('./logger').createLogger('app-store-scraper:agents');
+
+const DEFAULT_OPTIONS = {
+  keepAlive: true,
+  keepAliveMsecs: 1000,
+  maxSockets: 10, // per host, matching the scheduler default concurrency
+  maxFreeSockets: 10, // idle sockets kept open per host
+  maxTotalSockets: Infinity,
+  timeout: 60000, // idle sockets are closed after this long
+  scheduling: 'lifo' // reuse the most recent socket so the others can time out
+};
+
+let options = Object.assign({}, DEFAULT_OPTIONS);
+let current = null;
+
+function create () {
+  debug('Creating agents %o', options);
+  return {
+    http: new http.Agent(options),
+    https: new https.Agent(options)
+  };
+}
+
+/**
+ * Returns the shared keep-alive agents used by the default transport, so
+ * every module reuses the same connections instead of opening new ones.
+ * @returns {{ http: http.Agent, https: https.Agent }}
+ */
+function get () {
+  if (!current) {
+    current = create();
+  }
+  return current;
+}
+
+/**
+ * Replaces the shared agents with new ones built from `settings`, merged with
+ * the current options. Requests already running finish on the old agents,
+ * whose idle sockets close after their timeout.
+ * @param {Object} settings - http.Agent options: `keepAlive`, `maxSockets`
+ *   (per host), `maxFreeSockets`, `maxTotalSockets`, `timeout`...
+ */
+function configure (settings) {
+  settings = settings || {};
+  ['maxSockets', 'maxFreeSockets', 'maxTotalSockets', 'timeout', 'keepAliveMsecs'].forEach((name) => {
+    if (settings[name] !== undefined && (typeof settings[name] !== 'number' || settings[name] < 1)) {
+      throw new TypeError(`${name} must be a positive number`);
+    }
+  });
+
+  options = Object.assign({}, options, settings);
+  current = null;
+}
+
+/**
+ * Closes every socket of the shared agents, e.g. before the process exits.
+ */
+function destroy () {
+  if (current) {
+    current.http.destroy();
+    current.https.destroy();
+    current = null;
+  }
+}
+
+function count (sockets) {
+  const result = {};
+  Object.keys(sockets).forEach((name) => {
+    result[name] = sockets[name].length;
+  });
+  return result;
+}
+
+/**
+ * Returns the open sockets per host, in use and idle.
+ */
+function stats () {
+  const { http: httpAgent, https: httpsAgent } = get();
+  return {
+    options: Object.assign({}, options),
+    active: Object.assign(count(httpAgent.sockets), count(httpsAgent.sockets)),
+    idle: Object.assign(count(httpAgent.freeSockets), count(httpsAgent.freeSockets))
+  };
+}
+
+module.exports = { get, configure, destroy, stats, DEFAULT_OPTIONS };
@@ -0,0 +1,63 @@
+'use strict';
+
+const amp = require('./amp');
+const { parseUrl } = require('./url');
+const { ValidationError, ErrorHelpers } = require('./errors');
+
+function validate (opts) {
+  if (!opts || typeof opts !== 'object') {
+    throw new ValidationError('Options object is required');
+  }
+
+  const ids = opts.ids !== undefined ? opts.ids : opts.id;
+  if (ids === undefined || ids === null || (Array.isArray(ids) && ids.length === 0)) {
+    throw ErrorHelpers.missingParameter('ids', 'Provide the catalog ids of the resources to fetch');
+  }
+
+  if (opts.type !== undefined && (typeof opts.type !== 'string' || !/^[a-z][a-z-]*$/.test(opts.type))) {
+    throw ErrorHelpers.invalidParameter('type', opts.type, 'Must be a catalog resource type (e.g., "apps", "in-apps", "developers")');
+  }
+
+  if (opts.country && (typeof opts.country !== 'string' || opts.country.length !== 2)) {
+    throw ErrorHelpers.invalidParameter('country', opts.country, 'Must be a 2-letter country code (e.g., "us", "gb", "fr")');
+  }
+}
+
+// An app or developer link stands for its resource
+function withUrl (opts) {
+  if (!opts || typeof opts !== 'object' || opts.url === undefined) {
+    return opts;
+  }
+  if (opts.ids !== undefined || opts.id !== undefined) {
+    throw ErrorHelpers.invalidParameter('url', opts.url, 'Cannot be combined with "ids"');
+  }
+
+  const link = parseUrl(opts.url);
+  return Object.assign({}, opts, {
+    ids: [link.id],
+    type: opts.type || (link.type === 'developer' ? 'developers' : 'apps'),
+    country: opts.country || link.country || undefined
+  });
+}
+
+/**
+ * Fetches raw amp-api catalog resources, for attributes the other methods
+ * don't model. Returns the JSON:API document, with every relationship
+ * resolved against the resources of the document.
+ */
+async function ampCatalog (opts) {
+  opts = withUrl(opts);
+  validate(opts);
+
+  return amp.catalog({
+    type: opts.type,
+    ids: [].concat(opts.ids !== undefined ? opts.ids : opts.id).map(String),
+    fields: opts.fields,
+    extend: opts.extend,
+    include: opts.include,
+    platform: opts.platform,
+    additionalPlatforms: opts.additionalPlatforms
+  }, opts);
+}
+
+module.exports = ampCatalog;
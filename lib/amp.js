@@ -0,0 +1,259 @@
+'use strict';
+
+const debug = require('./logger').createLogger('app-store-scraper:amp');
+const common = require('./common');
+const transports = require('./transport');
+const schema = require('./schema');
+const { race } = require('./abort');
+const { NetworkError, NotFoundError, ErrorHelpers } = require('./errors');
+
+const AMP_URL = 'https://amp-api-edge.apps.apple.com/v1';
+
+// The apps.apple.com pages embed the web client configuration, URL encoded in
+// older pages and as plain JSON in newer ones.
+const TOKEN_PATTERNS = [
+  /token%22%3A%22([^%]+)%22%7D/,
+  /"token"\s*:\s*"([A-Za-z0-9\-_]+\.[A-Za-z0-9\-_]+\.[A-Za-z0-9\-_]+)"/
+];
+
+// Refresh this long before the token expires
+const EXPIRY_MARGIN = 60 * 1000;
+// Lifetime assumed when the expiry can't be read from the token
+const DEFAULT_LIFETIME = 30 * 60 * 1000;
+
+/**
+ * Reads the `exp` claim of a JWT.
+ * @returns {number|null} Expiry timestamp in milliseconds, null if unreadable
+ */
+function decodeExpiry (token) {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const claims = JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+    return typeof claims.exp === 'number' ? claims.exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function extractToken (html) {
+  if (typeof html !== 'string') {
+    return null;
+  }
+  for (const pattern of TOKEN_PATTERNS) {
+    const match = pattern.exec(html);
+    if (match) {
+      return match[1];
+    }
+  }
+  return null;
+}
+
+/**
+ * Keeps the amp-api bearer token scraped from apps.apple.com. The token is
+ * fetched once, kept until shortly before it expires and shared by every
+ * call. Tokens are kept per transport, as different transports may reach
+ * different backends.
+ */
+class TokenManager {
+  constructor () {
+    this.tokens = new WeakMap();
+  }
+
+  _state (opts) {
+    const transport = transports.resolve(opts && opts.transport);
+    if (!this.tokens.has(transport)) {
+      this.tokens.set(transport, { token: null, expiresAt: 0, pending: null });
+    }
+    return this.tokens.get(transport);
+  }
+
+  /**
+   * Returns a valid token, fetching it from `page` if needed.
+   * @param {Object} opts - Method options, used for the page request
+   * @param {string} page - apps.apple.com page to scrape the token from
+   * @returns {Promise<string>} Bearer token
+   */
+  get (opts, page) {
+    const state = this._state(opts);
+    if (state.token && Date.now() < state.expiresAt - EXPIRY_MARGIN) {
+      return Promise.resolve(state.token);
+    }
+
+    if (!state.pending) {
+      // the fetch is shared, so it runs without the signal of the caller
+      // that happened to start it
+      const shared = Object.assign({}, opts);
+      delete shared.signal;
+      delete shared.timeout;
+
+      state.pending = common.request(page, {}, opts.requestOptions, shared)
+        .then((html) => {
+          const token = extractToken(html);
+          if (!token) {
+            throw ErrorHelpers.tokenNotFound(page);
+          }
+
+          const expiry = decodeExpiry(token);
+          state.token = token;
+          state.expiresAt = expiry || Date.now() + DEFAULT_LIFETIME;
+          debug('Fetched amp-api token, valid until %s', new Date(state.expiresAt).toISOString());
+          return token;
+        })
+        .finally(() => {
+          state.pending = null;
+        });
+    }
+
+    return race(state.pending, opts.signal);
+  }
+
+  /**
+   * Drops the cached token, or only `token` if it is still the cached one.
+   */
+  invalidate (opts, token) {
+    const state = this._state(opts);
+    if (!token || state.token === token) {
+      state.token = null;
+      state.expiresAt = 0;
+    }
+  }
+}
+
+const tokens = new TokenManager();
+
+/**
+ * Requests an amp-api path with the shared token. A 401 means the token was
+ * revoked early: it is refreshed and the request made once more.
+ * @param {string} path - Path below /v1, with its query string
+ * @param {Object} opts - Method options
+ * @param {string} page - apps.apple.com page to scrape the token from if needed
+ * @returns {Promise<Object|string>} Response body, to be checked with schema.validate
+ */
+async function request (path, opts, page) {
+  const url = `${AMP_URL}${path}`;
+  const send = (token) => common.request(url, {
+    Origin: 'https://apps.apple.com',
+    Authorization: `Bearer ${token}`
+  }, opts.requestOptions, opts);
+
+  const token = await tokens.get(opts, page);
+  let body;
+  try {
+    body = await send(token);
+  } catch (error) {
+    if (!(error instanceof NetworkError) || error.statusCode !== 401) {
+      throw error;
+    }
+    debug('amp-api token rejected, refreshing it');
+    tokens.invalidate(opts, token);
+    body = await send(await tokens.get(opts, page));
+  }
+
+  // string bodies are parsed by schema.validate, so one that is no JSON (an
+  // HTML challenge page...) fails with a ParseError instead of a SyntaxError
+  return body;
+}
+
+// Query values are a string, a list, or `{ [type]: list }` for the
+// per-type JSON:API form (`fields[apps]=name`)
+function addParam (params, name, value) {
+  if (value === undefined || value === null) {
+    return;
+  }
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    Object.keys(value).forEach((type) => addParam(params, `${name}[${type}]`, value[type]));
+    return;
+  }
+  params.push(`${name}=${[].concat(value).map(encodeURIComponent).join(',')}`);
+}
+
+// Only the resource itself, so resolved relationships can't form cycles
+// and documents stay serializable (e.g. for file caches)
+function summary (resource) {
+  const result = {};
+  ['id', 'type', 'href', 'attributes', 'meta'].forEach((key) => {
+    if (resource[key] !== undefined) {
+      result[key] = resource[key];
+    }
+  });
+  return result;
+}
+
+/**
+ * Adds a `resolved` property to every relationship of the document, holding
+ * the related resource (or list of resources) found in `data` or `included`,
+ * null when the document doesn't contain it.
+ */
+function resolveRelationships (document) {
+  const resources = [].concat(document.data || [], document.included || []);
+  const index = {};
+  resources.forEach((resource) => {
+    index[`${resource.type}:${resource.id}`] = resource;
+  });
+
+  const find = (identifier) => {
+    const found = index[`${identifier.type}:${identifier.id}`] || (identifier.attributes ? identifier : null);
+    return found && summary(found);
+  };
+
+  resources.forEach((resource) => {
+    Object.keys(resource.relationships || {}).forEach((name) => {
+      const relationship = resource.relationships[name];
+      if (Array.isArray(relationship.data)) {
+        relationship.resolved = relationship.data.map(find);
+      } else if (relationship.data) {
+        relationship.resolved = find(relationship.data);
+      }
+    });
+  });
+  return document;
+}
+
+/**
+ * Fetches resources from the amp-api catalog.
+ * @param {Object} query - `{ type, ids, fields, extend, include, platform, additionalPlatforms }`
+ * @param {Object} opts - Method options, for the country, language and requests
+ * @returns {Promise<Object>} JSON:API document with resolved relationships
+ */
+async function catalog (query, opts) {
+  const country = (opts.country || 'us').toLowerCase();
+  const type = query.type || 'apps';
+  const ids = [].concat(query.ids);
+
+  const params = [];
+  addParam(params, 'platform', query.platform || 'web');
+  if (ids.length > 1) {
+    addParam(params, 'ids', ids);
+  }
+  addParam(params, 'fields', query.fields);
+  addParam(params, 'extend', query.extend);
+  addParam(params, 'include', query.include);
+  addParam(params, 'additionalPlatforms', query.additionalPlatforms);
+  addParam(params, 'l', opts.lang);
+
+  const path = ids.length > 1 ? `/catalog/${country}/${type}` : `/catalog/${country}/${type}/${ids[0]}`;
+  // the token is in every page, an app page is simply the one most likely to exist
+  const page = type === 'apps' ? `https://apps.apple.com/${country}/app/id${ids[0]}` : `https://apps.apple.com/${country}/`;
+
+  let document;
+  try {
+    document = await request(`${path}?${params.join('&')}`, opts, page);
+  } catch (error) {
+    if (error instanceof NetworkError && error.statusCode === 404) {
+      throw type === 'apps' && ids.length === 1
+        ? ErrorHelpers.appNotFound(String(ids[0]))
+        : new NotFoundError(`No ${type} found in the ${country} catalog for ${ids.join(', ')}`, type, ids.join(','));
+    }
+    throw error;
+  }
+
+  return parseCatalog(document);
+}
+
+function parseCatalog (document) {
+  return resolveRelationships(schema.validate('ampCatalog', document));
+}
+
+schema.register('ampCatalog', parseCatalog);
+
+module.exports = { TokenManager, tokens, request, catalog, resolveRelationships, decodeExpiry, extractToken, AMP_URL };
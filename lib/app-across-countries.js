@@ -0,0 +1,99 @@
+'use strict';
+
+const R = require('ramda');
+const common = require('./common');
+const c = require('./constants');
+const validate = require('./validate');
+const { fromUrl } = require('./url');
+const { NotFoundError, ErrorHelpers } = require('./errors');
+
+const DEFAULT_CONCURRENCY = 2;
+
+// Every storefront of constants.markets, as lowercase country codes
+const ALL_COUNTRIES = Object.keys(c.markets).map((code) => code.toLowerCase());
+
+const UNAVAILABLE = { available: false, price: null, currency: null, version: null, score: null, reviews: null };
+
+function validateOptions (opts) {
+  validate.options(opts);
+  validate.appIdentifier(opts);
+
+  if (opts.countries !== undefined) {
+    if (!Array.isArray(opts.countries) || opts.countries.length === 0) {
+      throw ErrorHelpers.invalidParameter('countries', opts.countries, 'Must be a non-empty array of 2-letter country codes');
+    }
+    const unknown = opts.countries.find((country) => typeof country !== 'string' || !c.markets[country.toUpperCase()]);
+    if (unknown !== undefined) {
+      throw ErrorHelpers.invalidParameter('countries', unknown, 'Must be a country code of constants.markets');
+    }
+  }
+
+  if (opts.concurrency !== undefined && (typeof opts.concurrency !== 'number' || opts.concurrency < 1)) {
+    throw ErrorHelpers.invalidParameter('concurrency', opts.concurrency, 'Must be a positive number');
+  }
+}
+
+async function lookupIn (opts, country) {
+  const idField = opts.id ? 'id' : 'bundleId';
+  let results;
+  try {
+    results = await common.lookup([opts.id || opts.appId], idField, country, opts.lang, opts.requestOptions, opts);
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return UNAVAILABLE;
+    }
+    if (ErrorHelpers.isFatal(error)) {
+      throw error;
+    }
+    // one storefront failing does not void the others
+    return Object.assign({}, UNAVAILABLE, {
+      available: null,
+      error: { code: error.code || 'UNKNOWN_ERROR', message: error.message }
+    });
+  }
+
+  const app = results[0];
+  if (!app) {
+    return UNAVAILABLE;
+  }
+  return {
+    id: app.id,
+    available: true,
+    price: app.price,
+    currency: app.currency,
+    version: app.version,
+    score: app.score,
+    reviews: app.reviews
+  };
+}
+
+/**
+ * Looks the same app up in many storefronts, every one of constants.markets
+ * by default, with bounded concurrency. Returns a matrix of price, currency,
+ * version and rating per country, the countries where the app is not sold
+ * and the ones whose lookup failed.
+ */
+async function appAcrossCountries (opts) {
+  opts = fromUrl(opts, 'app');
+  validateOptions(opts);
+
+  const countries = R.uniq((opts.countries || ALL_COUNTRIES).map((country) => country.toLowerCase()));
+  const entries = await common.mapLimit(countries, opts.concurrency || DEFAULT_CONCURRENCY, (country) => lookupIn(opts, country));
+
+  const matrix = {};
+  countries.forEach((country, index) => {
+    const entry = Object.assign({}, entries[index]);
+    delete entry.id;
+    matrix[country] = entry;
+  });
+  const found = entries.find((entry) => entry.available);
+
+  return {
+    id: found ? found.id : (opts.id ? Number(opts.id) : null),
+    countries: matrix,
+    unavailable: countries.filter((country) => matrix[country].available === false),
+    failed: countries.filter((country) => matrix[country].available === null)
+  };
+}
+
+module.exports = appAcrossCountries;
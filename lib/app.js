@@ -3,36 +3,35 @@
 const common = require('./common');
 const ratings = require('./ratings');
 const { getScreenshotsWithFallback } = require('./screenshot-fallback');
-const { ValidationError, ErrorHelpers } = require('./errors');
+const productPage = require('./product-page');
+const validate = require('./validate');
+const { fromUrl } = require('./url');
+const meta = require('./meta');
+const { ErrorHelpers } = require('./errors');
+const log = require('./logger').createLogger('app-store-scraper');
+
+const SCREENSHOT_FIELDS = { iphone: 'screenshots', ipad: 'ipadScreenshots', appletv: 'appletvScreenshots' };
+
+// Platforms with at least one screenshot in the result
+function screenshotPlatforms (result) {
+  const platforms = {};
+  Object.keys(SCREENSHOT_FIELDS).forEach((platform) => {
+    const urls = result[SCREENSHOT_FIELDS[platform]];
+    platforms[platform] = Array.isArray(urls) && urls.length > 0;
+  });
+  return platforms;
+}
 
 async function app (opts) {
-  // Input validation
-  if (!opts || typeof opts !== 'object') {
-    throw new ValidationError('Options object is required');
-  }
-  
-  if (!opts.id && !opts.appId) {
-    throw ErrorHelpers.missingParameter('id or appId', 'Provide either "id" (numeric App Store ID) or "appId" (bundle identifier like com.company.app)');
-  }
-  
-  // Validate ID format if provided
-  if (opts.id && (typeof opts.id !== 'string' && typeof opts.id !== 'number')) {
-    throw ErrorHelpers.invalidParameter('id', opts.id, 'Must be a string or number');
-  }
-  
-  if (opts.appId && typeof opts.appId !== 'string') {
-    throw ErrorHelpers.invalidParameter('appId', opts.appId, 'Must be a string in format com.company.app');
-  }
-  
-  // Validate country code if provided
-  if (opts.country && (typeof opts.country !== 'string' || opts.country.length !== 2)) {
-    throw ErrorHelpers.invalidParameter('country', opts.country, 'Must be a 2-letter country code (e.g., "us", "gb", "fr")');
-  }
-  
+  opts = fromUrl(opts, 'app');
+  validate.options(opts);
+  validate.appIdentifier(opts);
+  validate.country(opts);
+
   const idField = opts.id ? 'id' : 'bundleId';
   const idValue = opts.id || opts.appId;
   
-  const results = await common.lookup([idValue], idField, opts.country, opts.lang, opts.requestOptions, opts.throttle);
+  const results = await common.lookup([idValue], idField, opts.country, opts.lang, opts.requestOptions, opts);
   
   if (results.length === 0) {
     throw ErrorHelpers.appNotFound(idValue);
@@ -40,36 +39,81 @@ async function app (opts) {
 
   let result = results[0];
 
+  // Enrichments add data to the lookup result. By default their failures are
+  // tolerated: with `warnings` they are listed in the result, with `strict`
+  // they fail the call.
+  const warnings = [];
+  const failed = (enrichment, error) => {
+    if (ErrorHelpers.isFatal(error) || opts.strict) {
+      throw error;
+    }
+    log.warn(`${enrichment} enrichment failed`, { id: result.id, code: error.code, error: error.message });
+    warnings.push({ enrichment, code: error.code || 'UNKNOWN_ERROR', message: error.message });
+  };
+
+  const fromLookup = screenshotPlatforms(result);
+
+  // The product page is downloaded at most once per call, for the screenshot
+  // fallback, the details and the previews alike
+  let page = null;
+  const loadPage = () => {
+    page = page || productPage.fetchPage(opts.id || result.id, opts.country, opts);
+    return page;
+  };
+  const settle = (promise) => promise.then((value) => ({ value }), (error) => ({ error }));
+  const extended = opts.extended ? settle(loadPage().then(productPage.parseDetails)) : null;
+  const previews = opts.previews ? settle(loadPage().then(productPage.parsePreviews)) : null;
+
   // Apply screenshot fallback if screenshots are missing
   if (result.screenshots && result.screenshots.length > 0 && 
       result.ipadScreenshots && result.ipadScreenshots.length > 0) {
     // Already have sufficient screenshots from iTunes API
   } else {
-    // Apply fallback for missing screenshots
     try {
-      result = await getScreenshotsWithFallback(result, opts.id || result.id, opts.country);
+      result = await getScreenshotsWithFallback(result, opts.id || result.id, opts.country, opts, (error) => failed('screenshots', error), loadPage);
     } catch (fallbackError) {
-      // Screenshot fallback failure should not prevent app data return
-      // Log the error but continue with original app data
-      const debug = require('debug')('app-store-scraper');
-      debug('Screenshot fallback failed: %s', fallbackError.message);
+      failed('screenshots', fallbackError);
+    }
+  }
+
+  if (extended) {
+    const { value, error } = await extended;
+    if (error) {
+      failed('details', error);
+    } else {
+      result = Object.assign({}, result, value);
+    }
+  }
+
+  if (previews) {
+    const { value, error } = await previews;
+    if (error) {
+      failed('previews', error);
+    } else {
+      result = Object.assign({}, result, { previews: value });
     }
   }
 
   if (opts.ratings) {
     if (!opts.id) { opts.id = result.id; }
     try {
-      const ratingsResult = await ratings(opts);
-      return Object.assign({}, result, ratingsResult);
+      result = Object.assign({}, result, await ratings(opts));
     } catch (ratingsError) {
-      // Ratings failure should not prevent app data return
-      const debug = require('debug')('app-store-scraper');
-      debug('Ratings fetch failed: %s', ratingsError.message);
-      return result;
+      failed('ratings', ratingsError);
     }
   }
 
-  return result;
+  if (opts.warnings) {
+    result = Object.assign({}, result, { warnings });
+  }
+
+  // where each platform's screenshots came from, null when there are none
+  const screenshots = {};
+  const found = screenshotPlatforms(result);
+  Object.keys(SCREENSHOT_FIELDS).forEach((platform) => {
+    screenshots[platform] = fromLookup[platform] ? 'itunes-api' : (found[platform] ? 'screenshot-fallback' : null);
+  });
+  return meta.attach(opts, result, { screenshots });
 }
 
 module.exports = app;
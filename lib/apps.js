@@ -0,0 +1,81 @@
+'use strict';
+
+const R = require('ramda');
+const common = require('./common');
+const validate = require('./validate');
+const { parseUrl } = require('./url');
+const { NotFoundError, ErrorHelpers } = require('./errors');
+
+// Bundle ids make much longer URLs than track ids, so they get smaller chunks
+const MAX_CHUNK_SIZE = { id: 200, bundleId: 50 };
+const DEFAULT_CONCURRENCY = 2;
+
+// App links stand for their ids. Their country is used when they all agree
+// and the options have none.
+function withUrls (opts) {
+  if (!opts || typeof opts !== 'object' || opts.urls === undefined) {
+    return opts;
+  }
+  if (opts.ids || opts.appIds) {
+    throw ErrorHelpers.invalidParameter('urls', opts.urls, 'Provide either "urls", "ids" or "appIds"');
+  }
+  if (!Array.isArray(opts.urls) || opts.urls.length === 0) {
+    throw ErrorHelpers.invalidParameter('urls', opts.urls, 'Must be a non-empty array');
+  }
+
+  const links = opts.urls.map(parseUrl);
+  const developer = links.findIndex((link) => link.type !== 'app');
+  if (developer !== -1) {
+    throw ErrorHelpers.invalidParameter('urls', opts.urls[developer], 'Must be App Store app links');
+  }
+
+  const resolved = Object.assign({}, opts, { ids: links.map((link) => link.id) });
+  delete resolved.urls;
+  const countries = R.uniq(links.map((link) => link.country));
+  if (!opts.country && countries.length === 1 && countries[0]) {
+    resolved.country = countries[0];
+  }
+  return resolved;
+}
+
+/**
+ * Looks up many apps at once. Requests are split in chunks within the iTunes
+ * lookup limits and run with bounded concurrency. The result has one entry per
+ * input id, in input order: the app, or a NotFoundError when it did not resolve.
+ */
+async function apps (opts) {
+  opts = withUrls(opts);
+  validate.options(opts);
+  validate.appIdentifiers(opts);
+  validate.positiveNumber(opts, 'chunkSize');
+  validate.positiveNumber(opts, 'concurrency');
+  validate.country(opts);
+
+  const idField = opts.ids ? 'id' : 'bundleId';
+  const values = (opts.ids || opts.appIds).map(String);
+  const normalize = idField === 'id' ? R.identity : R.toLower;
+  const chunkSize = Math.min(opts.chunkSize || MAX_CHUNK_SIZE[idField], MAX_CHUNK_SIZE[idField]);
+  const chunks = R.splitEvery(chunkSize, R.uniq(values));
+
+  const found = {};
+  await common.mapLimit(chunks, opts.concurrency || DEFAULT_CONCURRENCY, async (chunk) => {
+    let results;
+    try {
+      results = await common.lookup(chunk, idField, opts.country, opts.lang, opts.requestOptions, opts);
+    } catch (error) {
+      // the whole chunk missing is reported per id below
+      if (error instanceof NotFoundError) {
+        return;
+      }
+      throw error;
+    }
+
+    results.forEach((app) => {
+      found[normalize(String(idField === 'id' ? app.id : app.appId))] = app;
+    });
+  });
+
+  return values.map((value) => found[normalize(value)] || ErrorHelpers.appNotFound(value));
+}
+
+module.exports = apps;
@@ -0,0 +1,164 @@
+'use strict';
+
+const { ErrorHelpers } = require('./errors');
+
+/**
+ * mzstatic image URLs end with a size segment the CDN renders on the fly,
+ * e.g. `.../AppIcon.png/512x512bb.jpg`, or with the `{w}x{h}{c}.{f}` template
+ * of the web pages. `c` is the crop code: `bb` fits the image in the box,
+ * others such as `sr` or `cc` crop it.
+ */
+
+const HOST = /(^|\.)mzstatic\.com$/;
+const SIZE = /^(\d+)x(\d+)([a-zA-Z]*(?:-\d+)?)\.([a-zA-Z]+)$/;
+const TEMPLATE = '{w}x{h}{c}.{f}';
+const FORMATS = ['jpg', 'png', 'webp'];
+
+// Fields of the results holding artwork URLs
+const FIELDS = ['icon', 'screenshots', 'ipadScreenshots', 'appletvScreenshots'];
+
+/**
+ * Splits an mzstatic URL into its base asset and size, crop and format.
+ * @param {string} url - Image URL, sized or templated
+ * @returns {Object|null} `{ base, width, height, crop, format, template }`,
+ *   size, crop and format being null for templates; null for other URLs
+ */
+function parse (url) {
+  if (typeof url !== 'string') {
+    return null;
+  }
+  let parsed;
+  try {
+    parsed = new URL(url.replace(/\\/g, ''));
+  } catch (error) {
+    return null;
+  }
+  if (!HOST.test(parsed.hostname)) {
+    return null;
+  }
+
+  const path = parsed.pathname;
+  const slash = path.lastIndexOf('/');
+  // the URL parser escapes the braces of templates
+  const last = decodeURIComponent(path.substring(slash + 1));
+  const base = `${parsed.origin}${path.substring(0, slash)}`;
+  if (last === TEMPLATE) {
+    return { base, width: null, height: null, crop: null, format: null, template: true };
+  }
+
+  const size = SIZE.exec(last);
+  if (!size) {
+    return null;
+  }
+  return {
+    base,
+    width: Number(size[1]),
+    height: Number(size[2]),
+    crop: size[3],
+    format: size[4].toLowerCase(),
+    template: false
+  };
+}
+
+/**
+ * Regenerates an mzstatic URL at another size, crop or format. With only a
+ * width, the height keeps the aspect ratio of the URL (square for templates).
+ * @param {string} url - Image URL, sized or templated
+ * @param {Object} options - `{ width, height, crop, format }`; crop defaults
+ *   to the one of the URL or `bb`, format to the one of the URL or `jpg`
+ * @returns {string} The new URL
+ * @throws {ValidationError} For URLs that are not mzstatic images, or bad options
+ */
+function build (url, options) {
+  const artwork = parse(url);
+  if (!artwork) {
+    throw ErrorHelpers.invalidParameter('url', url, 'Must be an mzstatic image URL');
+  }
+
+  options = options || {};
+  const width = options.width || artwork.width;
+  if (!Number.isInteger(width) || width < 1) {
+    throw ErrorHelpers.invalidParameter('width', options.width, 'Must be a positive integer');
+  }
+  if (options.height !== undefined && (!Number.isInteger(options.height) || options.height < 1)) {
+    throw ErrorHelpers.invalidParameter('height', options.height, 'Must be a positive integer');
+  }
+  const format = (options.format || artwork.format || 'jpg').toLowerCase();
+  if (!FORMATS.includes(format)) {
+    throw ErrorHelpers.invalidParameter('format', options.format, `Must be one of ${FORMATS.join(', ')}`);
+  }
+
+  const height = options.height ||
+    (artwork.width && options.width ? Math.round(width * artwork.height / artwork.width) : artwork.height || width);
+  const crop = options.crop !== undefined ? options.crop : (artwork.crop || 'bb');
+  return `${artwork.base}/${width}x${height}${crop}.${format}`;
+}
+
+/**
+ * An artwork URL of a result, with `at()` to get it at another size. It
+ * serializes to the URL, so results keep their JSON form.
+ */
+class Artwork {
+  constructor (url) {
+    const parsed = parse(url);
+    this.url = url;
+    this.width = parsed.width;
+    this.height = parsed.height;
+    this.crop = parsed.crop;
+    this.format = parsed.format;
+  }
+
+  /**
+   * The URL at `width` pixels wide, see build() for the options.
+   */
+  at (width, options) {
+    return build(this.url, Object.assign({}, options, { width }));
+  }
+
+  toString () {
+    return this.url;
+  }
+
+  toJSON () {
+    return this.url;
+  }
+}
+
+const wrap = (value) => parse(value) ? new Artwork(value) : value;
+
+function withHelpers (item) {
+  if (!item || typeof item !== 'object' || item instanceof Error) {
+    return item;
+  }
+  const result = Object.assign({}, item);
+  FIELDS.forEach((field) => {
+    if (typeof result[field] === 'string') {
+      result[field] = wrap(result[field]);
+    } else if (Array.isArray(result[field])) {
+      result[field] = result[field].map(wrap);
+    }
+  });
+  return result;
+}
+
+/**
+ * Turns the icon and screenshot URLs of a result, or of every item of a
+ * list, into Artwork objects.
+ */
+function attach (result) {
+  return Array.isArray(result) ? result.map(withHelpers) : withHelpers(result);
+}
+
+/**
+ * Wraps a method so that its results get Artwork objects with the `artwork`
+ * option, of the call or of `defaults`. Applied outside the cache, as
+ * functions don't survive persistent stores.
+ */
+function decorate (fn, defaults) {
+  return (opts) => fn(opts).then((result) => {
+    const enabled = opts && opts.artwork !== undefined ? opts.artwork : defaults && defaults.artwork;
+    return enabled ? attach(result) : result;
+  });
+}
+
+module.exports = { parse, build, attach, decorate, Artwork, FORMATS };
@@ -0,0 +1,235 @@
+'use strict';
+
+const debug = require('./logger').createLogger('app-store-scraper:breaker');
+const transports = require('./transport');
+const { NetworkError, CircuitOpenError } = require('./errors');
+
+const DEFAULT_OPTIONS = {
+  enabled: false, // whether calls without a `circuitBreaker` option go through it
+  threshold: 5, // consecutive failures opening the circuit
+  resetTimeout: 30000 // how long the circuit stays open before a probe is let through
+};
+
+/**
+ * Groups URLs by upstream endpoint: host plus path, with `:country` in place
+ * of the leading country code and `*` in place of ids and `key=value`
+ * segments (reviews pages, sort orders...), so every reviews page of every
+ * app shares the `itunes.apple.com/:country/rss/customerreviews` circuit.
+ */
+function endpointOf (url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return String(url);
+  }
+
+  const segments = parsed.pathname.split('/').filter(Boolean).map((segment, index) => {
+    if (index === 0 && /^[a-z]{2}$/i.test(segment)) {
+      return ':country';
+    }
+    if (/^(id)?\d+$/.test(segment) || segment.includes('=')) {
+      return '*';
+    }
+    return segment;
+  });
+  return [parsed.hostname.toLowerCase()].concat(segments).join('/');
+}
+
+// Only failures of the upstream itself count: no response at all or a 5xx.
+// A 404 or a 429 means the endpoint is up and answering.
+function isFailure (error) {
+  return error instanceof NetworkError && (!error.statusCode || error.statusCode >= 500);
+}
+
+/**
+ * Circuit breaker, one circuit per upstream endpoint and transport. A circuit
+ * opens after `threshold` consecutive failures; calls then fail fast with a
+ * CircuitOpenError until `resetTimeout` has elapsed, after which a single
+ * probe request goes through (half-open) and closes the circuit if it succeeds.
+ * Circuits are kept per transport, as the failures of one network layer (a
+ * proxy, a fake transport) say nothing about another.
+ */
+class CircuitBreaker {
+  constructor (options) {
+    this.circuits = new WeakMap();
+    this.options = Object.assign({}, DEFAULT_OPTIONS);
+    this.endpointOf = endpointOf;
+    this.configure(options);
+  }
+
+  /**
+   * @param {Object} options - `{ enabled, threshold, resetTimeout, endpoint }`,
+   *   where `endpoint(url)` returns the key grouping URLs in a circuit and
+   *   `enabled` makes the process-wide breaker apply to every call
+   */
+  configure (options) {
+    options = options || {};
+    if (options.enabled !== undefined) {
+      this.options.enabled = Boolean(options.enabled);
+    }
+    ['threshold', 'resetTimeout'].forEach((name) => {
+      if (options[name] !== undefined) {
+        if (typeof options[name] !== 'number' || options[name] < 1) {
+          throw new TypeError(`${name} must be a positive number`);
+        }
+        this.options[name] = options[name];
+      }
+    });
+    if (options.endpoint !== undefined) {
+      this.endpointOf = options.endpoint || endpointOf;
+    }
+    return this;
+  }
+
+  // Circuits of a transport, by endpoint key
+  _circuits (transport) {
+    transport = transports.resolve(transport);
+    if (!this.circuits.has(transport)) {
+      this.circuits.set(transport, {});
+    }
+    return this.circuits.get(transport);
+  }
+
+  _circuit (key, transport) {
+    const circuits = this._circuits(transport);
+    if (!circuits[key]) {
+      circuits[key] = { state: 'closed', failures: 0, openedAt: null, probing: false };
+    }
+    return circuits[key];
+  }
+
+  /**
+   * Lets a request to `url` through, or throws a CircuitOpenError.
+   * @param {string} url - The request URL
+   * @param {Function|Object} transport - The `transport` option of the call
+   * @returns {string} The endpoint key, to report the outcome with
+   */
+  check (url, transport) {
+    const key = this.endpointOf(url);
+    const circuit = this._circuit(key, transport);
+
+    if (circuit.state === 'open' && Date.now() >= circuit.openedAt + this.options.resetTimeout) {
+      debug('Circuit for %s half-open, probing', key);
+      circuit.state = 'half-open';
+    }
+
+    if (circuit.state === 'half-open' && !circuit.probing) {
+      circuit.probing = true;
+      return key;
+    }
+
+    if (circuit.state !== 'closed') {
+      const retryAt = circuit.openedAt + this.options.resetTimeout;
+      throw new CircuitOpenError(
+        `Circuit open for ${key} after ${circuit.failures} consecutive failures. Failing fast until ${new Date(retryAt).toISOString()}.`,
+        { endpoint: key, url, failures: circuit.failures, retryAt }
+      );
+    }
+    return key;
+  }
+
+  /**
+   * Reports the outcome of a request let through by check().
+   * @param {string} key - Endpoint key returned by check()
+   * @param {Error} error - The request error, null if it succeeded
+   * @param {Function|Object} transport - The transport given to check()
+   */
+  record (key, error, transport) {
+    const circuit = this._circuit(key, transport);
+    const probe = circuit.probing;
+    circuit.probing = false;
+
+    if (!error || (!isFailure(error) && error instanceof NetworkError)) {
+      if (circuit.state !== 'closed') {
+        debug('Circuit for %s closed', key);
+      }
+      circuit.state = 'closed';
+      circuit.failures = 0;
+      circuit.openedAt = null;
+      return;
+    }
+
+    if (!isFailure(error)) {
+      // aborted or otherwise inconclusive, a later request will probe again
+      return;
+    }
+
+    circuit.failures++;
+    if (probe || circuit.failures >= this.options.threshold) {
+      if (circuit.state !== 'open') {
+        debug.warn('Circuit opened', { endpoint: key, failures: circuit.failures, error: error.message });
+      }
+      circuit.state = 'open';
+      circuit.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Returns the circuit of an endpoint, given as a URL or an endpoint key,
+   * for a transport (the default one when omitted).
+   */
+  state (urlOrKey, transport) {
+    const circuits = this._circuits(transport);
+    const key = circuits[urlOrKey] ? urlOrKey : this.endpointOf(urlOrKey);
+    const circuit = circuits[key] || { state: 'closed', failures: 0, openedAt: null };
+    const state = circuit.state === 'open' && Date.now() >= circuit.openedAt + this.options.resetTimeout
+      ? 'half-open'
+      : circuit.state;
+
+    return {
+      endpoint: key,
+      state,
+      failures: circuit.failures,
+      openedAt: circuit.openedAt,
+      retryAt: circuit.openedAt === null ? null : circuit.openedAt + this.options.resetTimeout
+    };
+  }
+
+  /**
+   * Returns every known circuit of a transport (the default one when
+   * omitted), by endpoint key.
+   */
+  stats (transport) {
+    const result = {};
+    Object.keys(this._circuits(transport)).forEach((key) => {
+      result[key] = this.state(key, transport);
+    });
+    return result;
+  }
+
+  /**
+   * Closes the circuit of an endpoint for a transport (the default one when
+   * omitted), or every circuit of every transport.
+   */
+  reset (urlOrKey, transport) {
+    if (urlOrKey === undefined) {
+      this.circuits = new WeakMap();
+      return;
+    }
+    const circuits = this._circuits(transport);
+    delete circuits[circuits[urlOrKey] ? urlOrKey : this.endpointOf(urlOrKey)];
+  }
+}
+
+// Shared by the calls without a breaker of their own, off until enabled
+const breaker = new CircuitBreaker();
+
+/**
+ * Returns the breaker a call goes through: the one given as its
+ * `circuitBreaker` option, the process-wide one with `circuitBreaker: true`
+ * or once enabled, none otherwise.
+ * @param {boolean|CircuitBreaker} option - The `circuitBreaker` option
+ * @returns {CircuitBreaker|null}
+ */
+function breakerFor (option) {
+  if (option instanceof CircuitBreaker) {
+    return option;
+  }
+  if (option === true || (option === undefined && breaker.options.enabled)) {
+    return breaker;
+  }
+  return null;
+}
+
+module.exports = { CircuitBreaker, breaker, breakerFor, endpointOf, DEFAULT_OPTIONS };
@@ -0,0 +1,362 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const debug = require('./logger').createLogger('app-store-scraper:cache');
+const { abortable, race } = require('./abort');
+const events = require('./events');
+const errors = require('./errors');
+
+const DEFAULT_TTL = 1000 * 60 * 5; // 5 minutes
+const DEFAULT_MAX = 1000;
+
+// Options that change how a call is made, not what it returns. They are left
+// out of the cache key. `artwork` only adds helpers to the results, outside
+// the cache.
+const IGNORED_OPTIONS = ['transport', 'throttle', 'retry', 'coalesce', 'signal', 'timeout', 'hooks', 'circuitBreaker', 'artwork'];
+
+function canonicalize (value) {
+  if (Array.isArray(value)) {
+    return value.map((item) => item === undefined || typeof item === 'function' ? null : canonicalize(item));
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.keys(value).sort().forEach((key) => {
+      if (value[key] !== undefined && typeof value[key] !== 'function') {
+        result[key] = canonicalize(value[key]);
+      }
+    });
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Builds a cache key that does not depend on the order of the option keys.
+ * @param {string} method - Method name, used as key prefix
+ * @param {Object} opts - Method options
+ * @returns {string} Cache key
+ */
+function cacheKey (method, opts) {
+  const relevant = Object.assign({}, opts);
+  IGNORED_OPTIONS.forEach((name) => delete relevant[name]);
+  return `${method}:${JSON.stringify(canonicalize(relevant))}`;
+}
+
+/**
+ * In-memory store evicting the least recently used entries beyond `max`.
+ */
+class MemoryStore {
+  constructor (options) {
+    options = options || {};
+    this.max = options.max || DEFAULT_MAX;
+    this.entries = new Map();
+  }
+
+  async get (key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      // re-insert to mark it as the most recently used
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  async set (key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.max) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete (key) {
+    this.entries.delete(key);
+  }
+
+  async clear (prefix) {
+    if (!prefix) {
+      this.entries.clear();
+      return;
+    }
+    Array.from(this.entries.keys())
+      .filter((key) => key.startsWith(prefix))
+      .forEach((key) => this.entries.delete(key));
+  }
+}
+
+/**
+ * File-system store keeping one JSON file per entry in `dir`, so the cache
+ * survives restarts and can be shared by several processes. Entries past
+ * their stale period are deleted when read; `prune()` sweeps the ones never
+ * read again.
+ */
+class FileStore {
+  constructor (options) {
+    if (!options || !options.dir) {
+      throw new TypeError('FileStore requires a dir option');
+    }
+    this.dir = options.dir;
+  }
+
+  _file (key) {
+    return path.join(this.dir, crypto.createHash('sha1').update(key).digest('hex') + '.json');
+  }
+
+  async get (key) {
+    let contents;
+    try {
+      contents = await fs.promises.readFile(this._file(key), 'utf8');
+    } catch (error) {
+      return undefined;
+    }
+
+    let stored;
+    try {
+      stored = JSON.parse(contents);
+    } catch (error) {
+      debug('Ignoring corrupted cache file for %s', key);
+      return undefined;
+    }
+
+    if (stored.key !== key) {
+      return undefined;
+    }
+    if (expired(stored.entry, Date.now())) {
+      await this.delete(key);
+      return undefined;
+    }
+    return stored.entry;
+  }
+
+  async set (key, entry) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    // write then rename so concurrent readers never see a partial file
+    const file = this._file(key);
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify({ key, entry }));
+    await fs.promises.rename(tmp, file);
+  }
+
+  async delete (key) {
+    await fs.promises.rm(this._file(key), { force: true });
+  }
+
+  async clear (prefix) {
+    await this._sweep((stored) => !prefix || !stored || (stored.key && stored.key.startsWith(prefix)), !!prefix);
+  }
+
+  /**
+   * Deletes the entries past their stale period, and unreadable ones.
+   * @returns {Promise<number>} Number of files deleted
+   */
+  async prune () {
+    const now = Date.now();
+    return this._sweep((stored) => !stored || expired(stored.entry, now), true);
+  }
+
+  // Deletes the entry files `remove(stored)` is true for, `stored` being null
+  // when the file can't be read. Files are only read when `read` is set.
+  async _sweep (remove, read) {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      return 0;
+    }
+
+    const removed = await Promise.all(files.filter((file) => file.endsWith('.json')).map(async (file) => {
+      const fullPath = path.join(this.dir, file);
+      let stored = null;
+      if (read) {
+        try {
+          stored = JSON.parse(await fs.promises.readFile(fullPath, 'utf8'));
+        } catch (error) {
+          // unreadable entries are dropped as well
+        }
+      }
+      if (!remove(stored)) {
+        return false;
+      }
+      await fs.promises.rm(fullPath, { force: true });
+      return true;
+    }));
+    return removed.filter(Boolean).length;
+  }
+}
+
+// Entries are of no use once their stale period is over
+function expired (entry, now) {
+  return !entry || now >= (entry.staleUntil !== undefined ? entry.staleUntil : entry.expiresAt);
+}
+
+// Results carrying provenance metadata (the `meta` option) are flagged as
+// served from the cache; `fetchedAt` still tells when they were fetched.
+function fromCache (value) {
+  const mark = (item) => item && typeof item === 'object' && item.meta
+    ? Object.assign({}, item, { meta: Object.assign({}, item.meta, { cached: true }) })
+    : item;
+  return Array.isArray(value) ? value.map(mark) : mark(value);
+}
+
+// Errors in results, such as the missing ids of apps(), are stored as plain
+// objects since persistent stores keep JSON, and rebuilt with their class
+// when read so that `instanceof` and `code` checks still hold.
+function storable (value) {
+  const store = (item) => item instanceof errors.AppStoreError
+    ? { storedError: Object.assign({ message: item.message }, item) }
+    : item;
+  return Array.isArray(value) ? value.map(store) : store(value);
+}
+
+function revived (value) {
+  const revive = (item) => {
+    if (!item || typeof item !== 'object' || !item.storedError) {
+      return item;
+    }
+    const known = errors[item.storedError.name];
+    const ErrorClass = typeof known === 'function' ? known : errors.AppStoreError;
+    return Object.assign(new ErrorClass(item.storedError.message), item.storedError);
+  };
+  return Array.isArray(value) ? value.map(revive) : revive(value);
+}
+
+// Per-method settings accept either a number or `{ default, [method]: number }`.
+function perMethod (setting, method, fallback) {
+  if (setting === undefined || setting === null) {
+    return fallback;
+  }
+  if (typeof setting === 'number') {
+    return setting;
+  }
+  if (setting[method] !== undefined) {
+    return setting[method];
+  }
+  return setting.default !== undefined ? setting.default : fallback;
+}
+
+/**
+ * Wraps a set of methods with a shared cache.
+ *
+ * Options:
+ * - `store`: a MemoryStore (default), a FileStore or any object implementing
+ *   `get(key)`, `set(key, entry)`, `delete(key)` and `clear(prefix)`
+ * - `ttl`: freshness in milliseconds, a number or `{ default, [method]: ms }`
+ * - `staleWhileRevalidate`: how long after expiring an entry is still served
+ *   while being refreshed in the background, same format as `ttl`
+ * - `maxAge`, `max`, `normalizer`: memoizee-style options, still supported
+ *
+ * @param {Object} methods - Map of method name to function
+ * @param {Object} options - Cache options
+ * @returns {Object} Cached methods plus `invalidate(method, opts)` and `clear()`
+ */
+function cacheMethods (methods, options) {
+  options = options || {};
+  const store = options.store || new MemoryStore({ max: options.max });
+  const ttl = options.ttl !== undefined ? options.ttl : (options.maxAge || DEFAULT_TTL);
+  const swr = options.staleWhileRevalidate || 0;
+  const keyFor = (name, opts) => options.normalizer
+    ? `${name}:${options.normalizer([opts])}`
+    : cacheKey(name, opts);
+  const pending = new Map();
+
+  function refresh (name, fn, key, opts) {
+    if (pending.has(key)) {
+      return pending.get(key);
+    }
+
+    const promise = Promise.resolve()
+      .then(() => fn(opts))
+      .then((value) => {
+        const now = Date.now();
+        const expiresAt = now + perMethod(ttl, name, DEFAULT_TTL);
+        const entry = { value: storable(value), storedAt: now, expiresAt, staleUntil: expiresAt + perMethod(swr, name, 0) };
+        return Promise.resolve(store.set(key, entry))
+          .catch((error) => debug('Could not store %s: %s', key, error.message))
+          .then(() => value);
+      })
+      .finally(() => pending.delete(key));
+
+    pending.set(key, promise);
+    return promise;
+  }
+
+  // A cached computation is shared by every caller asking for the same key, so
+  // it runs without their signal and timeout: an aborted caller stops waiting
+  // while the others still get the result.
+  function wrap (name, fn) {
+    const cached = async (opts) => {
+      const key = keyFor(name, opts);
+      const signal = opts && opts.signal;
+      const shared = opts && Object.assign({}, opts);
+      if (shared) {
+        delete shared.signal;
+        delete shared.timeout;
+      }
+
+      let entry;
+      try {
+        entry = await store.get(key);
+      } catch (error) {
+        debug('Could not read %s: %s', key, error.message);
+      }
+
+      const now = Date.now();
+      const hit = (stale) => events.emit('cache-hit', {
+        method: name,
+        url: null,
+        storefront: events.storefront(opts),
+        status: null,
+        duration: Date.now() - now,
+        key,
+        stale,
+        age: now - entry.storedAt
+      });
+
+      if (entry && now < entry.expiresAt) {
+        debug('Cache hit for %s', key);
+        hit(false);
+        return fromCache(revived(entry.value));
+      }
+
+      if (entry && now < entry.staleUntil) {
+        debug('Serving stale %s while revalidating', key);
+        hit(true);
+        refresh(name, fn, key, shared).catch((error) => debug('Revalidation of %s failed: %s', key, error.message));
+        return fromCache(revived(entry.value));
+      }
+
+      return race(refresh(name, fn, key, shared), signal);
+    };
+    return abortable(cached);
+  }
+
+  const cached = {};
+  Object.keys(methods).forEach((name) => {
+    cached[name] = wrap(name, methods[name]);
+  });
+
+  return Object.assign(cached, {
+    /**
+     * Drops the cached result of `method` for `opts`, or every result of
+     * `method` when `opts` is omitted.
+     */
+    invalidate (method, opts) {
+      if (opts === undefined) {
+        return Promise.resolve(store.clear(`${method}:`));
+      }
+      return Promise.resolve(store.delete(keyFor(method, opts)));
+    },
+
+    /**
+     * Drops every cached result.
+     */
+    clear () {
+      return Promise.resolve(store.clear());
+    }
+  });
+}
+
+module.exports = { cacheMethods, cacheKey, canonicalize, MemoryStore, FileStore, IGNORED_OPTIONS };
@@ -1,10 +1,16 @@
 'use strict';
 
-const axios = require('axios');
-const rateLimit = require('axios-rate-limit');
-const debug = require('debug')('app-store-scraper');
+const log = require('./logger').createLogger('app-store-scraper');
 const c = require('./constants');
-const { NetworkError, RateLimitError, ServiceUnavailableError, ParseError, ErrorHelpers } = require('./errors');
+const { scheduler } = require('./scheduler');
+const { breakerFor } = require('./breaker');
+const transports = require('./transport');
+const { withRetry } = require('./retry');
+const { canonicalize } = require('./cache');
+const { abortError, onAbort, race, throwIfAborted } = require('./abort');
+const events = require('./events');
+const schema = require('./schema');
+const { AppStoreError, NetworkError, RateLimitError, ServiceUnavailableError, ParseError, ErrorHelpers } = require('./errors');
 
 function cleanApp (app) {
   return {
@@ -44,92 +50,274 @@ function cleanApp (app) {
   };
 }
 
+// Scraper options (throttle, retry, transport, ...) travel with every request. A plain
+// number is still accepted as the throttle limit.
+function requestContext (options) {
+  return typeof options === 'number' ? { throttle: options } : (options || {});
+}
+
+// In-flight requests per transport, so identical concurrent requests (e.g. the
+// bundle id lookup of app, reviews and similar running for the same app) share
+// a single network call. Keyed by transport since different transports may
+// answer differently.
+const inFlight = new WeakMap();
+
+// Requests are only shared when they would be sent the same way: same method,
+// URL and headers once merged, same request options, the ones of the call
+// included. Calls with request hooks are never shared, as the hooks may
+// rewrite their request or response.
+function coalesceKey (url, headers, requestOptions, context) {
+  requestOptions = requestOptions || {};
+  const method = (requestOptions.method || 'GET').toUpperCase();
+  if (method !== 'GET' && method !== 'HEAD') {
+    return null;
+  }
+  const hooks = context.hooks || {};
+  if (hooks.beforeRequest || hooks.afterResponse) {
+    return null;
+  }
+  return JSON.stringify(canonicalize({
+    method,
+    url,
+    headers: Object.assign({}, headers, requestOptions.headers),
+    requestOptions: Object.assign({}, requestOptions, { method, headers: undefined }),
+    callOptions: context.requestOptions
+  }));
+}
+
 // TODO add an optional parse function
-const doRequest = async (url, headers, requestOptions, limit) => {
-  debug('Making request: %s %j %o', url, headers, requestOptions);
+const doRequest = async (url, headers, requestOptions, options) => {
+  const context = requestContext(options);
+  throwIfAborted(context.signal);
 
-  requestOptions = Object.assign({ method: 'GET' }, requestOptions);
+  const call = events.callOf(context);
+  // the responses of a call are kept for its provenance metadata, joined
+  // requests included
+  const received = (result) => {
+    if (Array.isArray(call.sources)) {
+      call.sources.push(result.source);
+    }
+    return result.data;
+  };
+  const send = (signal) => withRetry(
+    (attempt) => sendRequest(url, headers, requestOptions, Object.assign({}, context, { signal }), attempt),
+    context.retry,
+    {
+      signal,
+      onRetry: (error, attempt, delay) => events.emit('retry', {
+        method: call.method,
+        url,
+        storefront: events.storefront(context),
+        status: error.statusCode || null,
+        attempt,
+        delay,
+        error
+      })
+    }
+  );
+
+  const key = context.coalesce !== false && coalesceKey(url, headers, requestOptions, context);
+  if (!key) {
+    return received(await send(context.signal));
+  }
+
+  const transport = transports.resolve(context.transport);
+  if (!inFlight.has(transport)) {
+    inFlight.set(transport, new Map());
+  }
+  const pending = inFlight.get(transport);
 
-  let axiosInstance = axios;
-  if (limit) {
-    axiosInstance = rateLimit(axios.create(), {
-      maxRequests: limit,
-      perMilliseconds: 1000
-    });
+  let shared = pending.get(key);
+  if (shared) {
+    log('Joining in-flight request: %s', url);
+  } else {
+    // the shared request has its own controller, aborted only once every
+    // caller waiting for it has given up
+    const controller = new AbortController();
+    shared = { controller, waiting: 0 };
+    shared.promise = send(controller.signal).finally(() => pending.delete(key));
+    pending.set(key, shared);
   }
 
+  shared.waiting++;
+  const removeListener = onAbort(context.signal, () => {
+    shared.waiting--;
+    if (shared.waiting === 0) {
+      log('Every caller aborted, cancelling request: %s', url);
+      shared.controller.abort(abortError(context.signal));
+    }
+  });
+
   try {
-    const response = await axiosInstance({
+    return received(await race(shared.promise, context.signal));
+  } finally {
+    removeListener();
+  }
+};
+
+const sendRequest = async (url, headers, requestOptions, context, attempt) => {
+  requestOptions = Object.assign({ method: 'GET' }, requestOptions);
+  const transport = transports.resolve(context.transport);
+  const call = events.callOf(context);
+  call.url = url;
+
+  const info = {
+    method: call.method,
+    url,
+    httpMethod: requestOptions.method.toUpperCase(),
+    storefront: events.storefront(context),
+    attempt: attempt || 1,
+    status: null,
+    duration: null
+  };
+
+  let started = null;
+  const breaker = breakerFor(context.circuitBreaker);
+  let circuit = null;
+  try {
+    const request = await events.runHooks(context, 'beforeRequest', {
       url,
-      headers,
       ...requestOptions,
-      validateStatus: (status) => status < 400
-    });
-    debug('Finished request');
-    return response.data;
-  } catch (error) {
-    debug('Request error', error.message);
-    
-    // Handle HTTP response errors
-    if (error.response) {
-      const status = error.response.status;
-      const statusText = error.response.statusText || 'Unknown error';
-      
-      // Create appropriate error types based on status code
-      if (status === 429) {
-        const retryAfter = error.response.headers['retry-after'];
-        throw new RateLimitError(
-          `Rate limit exceeded for ${url}. Please retry after ${retryAfter || 'a short'} delay.`,
-          retryAfter
-        );
-      } else if (status === 404) {
-        throw new NetworkError(
-          `Resource not found at ${url}. Please verify the URL and parameters are correct.`,
-          404,
-          { url, statusText }
-        );
-      } else if (status === 503) {
-        throw new ServiceUnavailableError(
-          `App Store service is temporarily unavailable (${statusText}). Please try again later.`
-        );
-      } else if (status >= 400 && status < 500) {
-        throw new NetworkError(
-          `Client error (${status}): ${statusText}. Please check your request parameters.`,
-          status,
-          { url, statusText }
-        );
-      } else if (status >= 500) {
-        throw new NetworkError(
-          `Server error (${status}): ${statusText}. The App Store API may be experiencing issues.`,
-          status,
-          { url, statusText }
-        );
-      } else {
-        throw new NetworkError(
-          `HTTP error (${status}): ${statusText}`,
-          status,
-          { url, statusText }
-        );
+      headers: Object.assign({}, headers, requestOptions.headers),
+      signal: context.signal
+    }, info);
+    info.url = request.url;
+
+    // fail fast instead of queueing requests to an endpoint known to be down
+    if (breaker) {
+      circuit = breaker.check(request.url, transport);
+    }
+
+    log.debug('Making request', { url: request.url, headers: request.headers, requestOptions });
+
+    let response;
+    try {
+      // every request shares the process-wide scheduler, so the throttle
+      // holds across concurrent calls instead of per call
+      response = await scheduler.schedule(request.url, () => {
+        started = Date.now();
+        events.emit('request', Object.assign({}, info));
+        return transport(request);
+      }, { throttle: context.throttle, signal: context.signal });
+    } catch (error) {
+      throw transportError(error, request.url, context);
+    }
+
+    info.status = response.status;
+    info.duration = Date.now() - started;
+    events.emit('response', Object.assign({}, info));
+    response = await events.runHooks(context, 'afterResponse', response, info);
+
+    if (response.status >= 400) {
+      log('Request error', response.status);
+      throw statusError(response, request.url);
+    }
+
+    log('Finished request');
+    if (circuit) {
+      breaker.record(circuit, null, transport);
+    }
+    const responseHeaders = response.headers || {};
+    return {
+      data: response.data,
+      source: {
+        url: request.url,
+        status: response.status,
+        fetchedAt: new Date(started).toISOString(),
+        language: responseHeaders['content-language'] || null
       }
+    };
+  } catch (error) {
+    if (circuit) {
+      breaker.record(circuit, error, transport);
     }
-    
-    // Handle network errors (no response received)
-    if (error.request) {
-      throw ErrorHelpers.networkError(error, url);
+    if (started !== null && info.duration === null) {
+      info.duration = Date.now() - started;
     }
-    
-    // Handle other axios errors
-    throw new NetworkError(
-      `Request configuration error: ${error.message}`,
-      null,
-      { originalError: error.message, url }
-    );
+    await events.runHooks(context, 'onError', error, Object.assign({}, info, {
+      status: error.statusCode || info.status
+    }));
+    throw error;
   }
 };
 
+// Maps a transport rejection to the library errors
+function transportError (error, url, context) {
+  log('Request error', error.message);
+
+  // whatever the transport rejected with, a fired signal is the real cause
+  if (context.signal && context.signal.aborted) {
+    return abortError(context.signal);
+  }
+
+  if (error instanceof AppStoreError) {
+    return error;
+  }
+
+  // transports that reject on HTTP errors (e.g. a bare axios call) still carry the response
+  if (error.response) {
+    return statusError(error.response, url);
+  }
+
+  // Handle network errors (no response received)
+  if (error.request || error.code) {
+    return ErrorHelpers.networkError(error, url);
+  }
+
+  // Handle other transport errors
+  return new NetworkError(
+    `Request configuration error: ${error.message}`,
+    null,
+    { originalError: error.message, url }
+  );
+}
+
+// Create appropriate error types based on status code
+function statusError (response, url) {
+  const status = response.status;
+  const statusText = response.statusText || 'Unknown error';
+  const responseHeaders = response.headers || {};
+
+  if (status === 429) {
+    const retryAfter = responseHeaders['retry-after'];
+    return new RateLimitError(
+      `Rate limit exceeded for ${url}. Please retry after ${retryAfter || 'a short'} delay.`,
+      retryAfter
+    );
+  } else if (status === 404) {
+    return new NetworkError(
+      `Resource not found at ${url}. Please verify the URL and parameters are correct.`,
+      404,
+      { url, statusText }
+    );
+  } else if (status === 503) {
+    return new ServiceUnavailableError(
+      `App Store service is temporarily unavailable (${statusText}). Please try again later.`,
+      responseHeaders['retry-after']
+    );
+  } else if (status >= 400 && status < 500) {
+    return new NetworkError(
+      `Client error (${status}): ${statusText}. Please check your request parameters.`,
+      status,
+      { url, statusText }
+    );
+  } else if (status >= 500) {
+    return new NetworkError(
+      `Server error (${status}): ${statusText}. The App Store API may be experiencing issues.`,
+      status,
+      { url, statusText }
+    );
+  }
+  return new NetworkError(
+    `HTTP error (${status}): ${statusText}`,
+    status,
+    { url, statusText }
+  );
+}
+
 const LOOKUP_URL = 'https://itunes.apple.com/lookup';
 
-async function lookup (ids, idField, country, lang, requestOptions, limit) {
+async function lookup (ids, idField, country, lang, requestOptions, options) {
   // Input validation
   if (!Array.isArray(ids) || ids.length === 0) {
     throw ErrorHelpers.missingParameter('ids', 'Provide an array of app IDs to lookup');
@@ -143,7 +331,7 @@ async function lookup (ids, idField, country, lang, requestOptions, limit) {
   
   let data;
   try {
-    data = await doRequest(url, {}, requestOptions, limit);
+    data = await doRequest(url, {}, requestOptions, options);
   } catch (error) {
     // Re-throw with additional context
     if (error instanceof NetworkError && error.statusCode === 404) {
@@ -152,34 +340,60 @@ async function lookup (ids, idField, country, lang, requestOptions, limit) {
     throw error;
   }
   
-  // Parse JSON if needed
-  let results;
-  try {
-    results = typeof data === 'string' ? JSON.parse(data) : data;
-  } catch (parseError) {
-    throw ErrorHelpers.invalidResponse('valid JSON', data);
-  }
-
-  // Validate response structure
-  if (!results || typeof results !== 'object') {
-    throw ErrorHelpers.invalidResponse('iTunes API response object', results);
-  }
-  
-  if (!Array.isArray(results.results)) {
-    throw ErrorHelpers.invalidResponse('iTunes API results array', results);
-  }
+  return parseLookup(data);
+}
 
-  return results.results
+function parseLookup (data) {
+  return schema.validate('lookup', data).results
     .filter(function (app) {
       return typeof app.wrapperType === 'undefined' || app.wrapperType === 'software';
     })
     .map(cleanApp);
 }
 
+schema.register('lookup', parseLookup);
+
+/**
+ * Returns the numeric App Store id of `opts.id` or `opts.appId`, looking the
+ * bundle id up when needed.
+ */
+async function resolveAppId (opts) {
+  if (opts.id) {
+    return opts.id;
+  }
+
+  const results = await lookup([opts.appId], 'bundleId', opts.country, opts.lang, opts.requestOptions, opts);
+  if (results.length === 0) {
+    throw ErrorHelpers.appNotFound(opts.appId);
+  }
+  return results[0].id;
+}
+
+/**
+ * Maps `items` through the async `fn`, running at most `limit` calls at a time.
+ * Results keep the input order.
+ */
+async function mapLimit (items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return results;
+}
+
 function storeId (countryCode) {
   const markets = c.markets;
   const defaultStore = '143441';
   return (countryCode && markets[countryCode.toUpperCase()]) || defaultStore;
 }
 
-module.exports = { cleanApp, lookup, request: doRequest, storeId };
+module.exports = { cleanApp, lookup, resolveAppId, mapLimit, request: doRequest, storeId };
@@ -1,6 +1,6 @@
 'use strict';
 
-const debug = require('debug')('app-store-scraper:content-deduplicator');
+const debug = require('./logger').createLogger('app-store-scraper:content-deduplicator');
 
 /**
  * Advanced content-based screenshot deduplication
@@ -1,23 +1,33 @@
 'use strict';
 
 const common = require('./common');
+const validate = require('./validate');
+const { fromUrl } = require('./url');
+const { NotFoundError, ErrorHelpers } = require('./errors');
 
-function developer (opts) {
-  return new Promise(function (resolve) {
-    if (!opts.devId) {
-      throw Error('devId is required');
+async function developer (opts) {
+  opts = fromUrl(opts, 'developer');
+  validate.options(opts);
+  validate.identifier(opts, 'devId', 'Provide the numeric developer (artist) ID');
+  validate.country(opts);
+
+  let results;
+  try {
+    results = await common.lookup([opts.devId], 'id', opts.country, opts.lang, opts.requestOptions, opts);
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      throw ErrorHelpers.developerNotFound(opts.devId);
     }
-    resolve(common.lookup([opts.devId], 'id', opts.country, opts.lang, opts.requestOptions, opts.throttle));
-  })
-    .then((results) => {
-    // first result is artist metadata.
-    // If missing it's not a developer. If present we slice to skip it
-      if (results.length === 0) {
-        throw Error('Developer not found (404)');
-      }
+    throw error;
+  }
+
+  // the lookup also returns the artist itself, which common.lookup filters
+  // out: no app left means it's not a developer
+  if (results.length === 0) {
+    throw ErrorHelpers.developerNotFound(opts.devId);
+  }
 
-      return results;
-    });
+  return results;
 }
 
 module.exports = developer;
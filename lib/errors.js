@@ -79,10 +79,44 @@ class ParseError extends AppStoreError {
  * Service unavailable or maintenance errors
  */
 class ServiceUnavailableError extends NetworkError {
-  constructor(message = 'App Store service is temporarily unavailable. Please try again later.') {
-    super(message, 503);
+  constructor(message = 'App Store service is temporarily unavailable. Please try again later.', retryAfter = null) {
+    super(message, 503, { retryAfter });
     this.name = 'ServiceUnavailableError';
     this.code = 'SERVICE_UNAVAILABLE';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Raised in fixture replay mode for requests that were never recorded
+ */
+class FixtureNotFoundError extends AppStoreError {
+  constructor(message, details = {}) {
+    super(message, 'FIXTURE_NOT_FOUND', details);
+    this.name = 'FixtureNotFoundError';
+  }
+}
+
+/**
+ * Raised without making the request while the circuit of an endpoint is open
+ */
+class CircuitOpenError extends AppStoreError {
+  constructor(message, details = {}) {
+    super(message, 'CIRCUIT_OPEN', details);
+    this.name = 'CircuitOpenError';
+    this.endpoint = details.endpoint;
+    this.retryAt = details.retryAt;
+  }
+}
+
+/**
+ * Raised when a call is cancelled through its `signal` or runs past its `timeout`
+ */
+class AbortError extends AppStoreError {
+  constructor(message = 'The operation was aborted', reason = 'signal', details = {}) {
+    super(message, reason === 'timeout' ? 'TIMEOUT' : 'ABORTED', { reason, ...details });
+    this.name = 'AbortError';
+    this.reason = reason;
   }
 }
 
@@ -169,9 +203,29 @@ const ErrorHelpers = {
   invalidResponse(expectedFormat, actualContent = null) {
     let message = `Invalid response format. Expected ${expectedFormat}`;
     if (actualContent) {
-      message += `, but received: ${actualContent.substring(0, 100)}${actualContent.length > 100 ? '...' : ''}`;
+      const text = typeof actualContent === 'string' ? actualContent : JSON.stringify(actualContent) || String(actualContent);
+      message += `, but received: ${text.substring(0, 100)}${text.length > 100 ? '...' : ''}`;
     }
     return new ParseError(message, expectedFormat, { actualContent });
+  },
+
+  /**
+   * Create a parse error for an apps.apple.com page without the amp-api token
+   */
+  tokenNotFound(url) {
+    return new ParseError(
+      `Could not find the amp-api token in ${url}. The App Store web page format may have changed.`,
+      'amp-api token',
+      { url }
+    );
+  },
+
+  /**
+   * Whether an error must reach the caller even from steps whose failures are
+   * otherwise tolerated (screenshot fallback, ratings enrichment...)
+   */
+  isFatal(error) {
+    return error instanceof AbortError || error instanceof FixtureNotFoundError;
   }
 };
 
@@ -183,5 +237,8 @@ module.exports = {
   RateLimitError,
   ParseError,
   ServiceUnavailableError,
+  FixtureNotFoundError,
+  AbortError,
+  CircuitOpenError,
   ErrorHelpers
 };
\ No newline at end of file
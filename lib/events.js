@@ -0,0 +1,82 @@
+'use strict';
+
+const EventEmitter = require('events');
+const debug = require('./logger').createLogger('app-store-scraper:events');
+const { ParseError } = require('./errors');
+
+// Per-call state travelling with the options. A symbol keeps it out of cache
+// and coalescing keys, which only look at string keys.
+const CALL = Symbol('app-store-scraper call');
+
+/**
+ * Process-wide emitter for instrumentation. Events: `request`, `response`,
+ * `retry`, `cache-hit` and `parse-error`.
+ */
+const emitter = new EventEmitter();
+
+// A failing listener must not break the request it observes
+function emit (event, payload) {
+  if (emitter.listenerCount(event) === 0) {
+    return;
+  }
+  try {
+    emitter.emit(event, payload);
+  } catch (error) {
+    debug('A %s listener threw: %s', event, error.message);
+  }
+}
+
+function callOf (options) {
+  return (options && typeof options === 'object' && options[CALL]) || {};
+}
+
+function storefront (options) {
+  return ((options && options.country) || 'us').toLowerCase();
+}
+
+/**
+ * Runs the hooks registered under `name` in `options.hooks`, one after the
+ * other. A hook returning a value replaces the one handed to the next hook.
+ * @returns {Promise} The final value
+ */
+async function runHooks (options, name, value, info) {
+  const hooks = options && options.hooks && options.hooks[name];
+  if (!hooks) {
+    return value;
+  }
+
+  for (const hook of [].concat(hooks)) {
+    const result = await hook(value, info);
+    if (result !== undefined) {
+      value = result;
+    }
+  }
+  return value;
+}
+
+/**
+ * Wraps a public method so that its requests report the method name, and
+ * parse failures are emitted as `parse-error` events.
+ */
+function instrumented (name, fn) {
+  return (opts) => {
+    const call = { method: name, url: null, sources: [] };
+    const options = Object.assign({}, opts, { [CALL]: call });
+
+    return Promise.resolve()
+      .then(() => fn(options))
+      .catch((error) => {
+        if (error instanceof ParseError || error instanceof SyntaxError) {
+          emit('parse-error', {
+            method: name,
+            url: call.url,
+            storefront: storefront(opts),
+            error
+          });
+        }
+        throw error;
+      });
+  };
+}
+
+module.exports = { emitter, emit, callOf, storefront, runHooks, instrumented, CALL };
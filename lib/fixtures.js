@@ -0,0 +1,151 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const debug = require('./logger').createLogger('app-store-scraper:fixtures');
+const transports = require('./transport');
+const { FixtureNotFoundError } = require('./errors');
+
+// Request headers that change the response and are therefore part of the key.
+// Anything else (user agent, bearer tokens...) is ignored and never stored.
+const KEY_HEADERS = ['x-apple-store-front', 'accept-language'];
+
+// Response headers the library reads. The others (cookies, tracking ids...)
+// are never stored.
+const RESPONSE_HEADERS = ['content-type', 'content-language', 'retry-after'];
+
+function normalizeUrl (url) {
+  const parsed = new URL(url);
+  parsed.searchParams.sort();
+  return parsed.toString();
+}
+
+function pickHeaders (headers, names) {
+  const result = {};
+  Object.keys(headers || {}).forEach((name) => {
+    if (names.includes(name.toLowerCase())) {
+      result[name.toLowerCase()] = String(headers[name]);
+    }
+  });
+  return result;
+}
+
+const keyHeaders = (headers) => pickHeaders(headers, KEY_HEADERS);
+
+/**
+ * Builds the normalized key of a request: method, URL with sorted query
+ * parameters and the headers that affect the response.
+ * @param {Object} request - Transport request `{ url, method, headers, data }`
+ * @returns {string} Fixture key
+ */
+function fixtureKey (request) {
+  const headers = keyHeaders(request.headers);
+  const parts = [(request.method || 'GET').toUpperCase(), normalizeUrl(request.url)];
+  Object.keys(headers).sort().forEach((name) => parts.push(`${name}: ${headers[name]}`));
+  if (request.data !== undefined) {
+    parts.push(typeof request.data === 'string' ? request.data : JSON.stringify(request.data));
+  }
+  return parts.join('\n');
+}
+
+/**
+ * Returns the fixture file name for a key: a readable slug of the URL plus a
+ * hash of the whole key.
+ */
+function fixtureFile (dir, request) {
+  const key = fixtureKey(request);
+  const parsed = new URL(request.url);
+  const slug = `${parsed.hostname}${parsed.pathname}`
+    .replace(/[^a-zA-Z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 80);
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 12);
+  return { key, file: path.join(dir, `${slug}-${hash}.json`) };
+}
+
+/**
+ * Wraps a transport so that every exchange is saved to `dir`.
+ * @param {string} dir - Fixture directory, created if missing
+ * @param {Function|Object} transport - Transport doing the real requests (default: axios)
+ * @returns {Function} Recording transport
+ */
+function recorder (dir, transport) {
+  const inner = transports.resolve(transport);
+
+  return async (request) => {
+    const response = await inner(request);
+    const { key, file } = fixtureFile(dir, request);
+    const fixture = {
+      key,
+      request: { method: request.method, url: request.url, headers: keyHeaders(request.headers) },
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: pickHeaders(response.headers, RESPONSE_HEADERS),
+        data: response.data
+      }
+    };
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(file, JSON.stringify(fixture, null, 2));
+    debug('Recorded %s %s to %s', request.method, request.url, file);
+    return response;
+  };
+}
+
+/**
+ * Transport serving the fixtures saved in `dir`. Requests without a fixture
+ * are rejected with a FixtureNotFoundError.
+ * @param {string} dir - Fixture directory
+ * @returns {Function} Replaying transport
+ */
+function replayer (dir) {
+  return async (request) => {
+    const { key, file } = fixtureFile(dir, request);
+
+    let contents;
+    try {
+      contents = await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      throw new FixtureNotFoundError(
+        `No fixture recorded for ${request.method} ${request.url}. Record it again with the record mode.`,
+        { key, file }
+      );
+    }
+
+    debug('Replaying %s %s from %s', request.method, request.url, file);
+    return JSON.parse(contents).response;
+  };
+}
+
+/**
+ * Switches the default transport to record or replay fixtures.
+ * @param {string} mode - 'record', 'replay' or falsy to go back to the network
+ * @param {string} dir - Fixture directory
+ */
+function use (mode, dir) {
+  if (!mode) {
+    transports.setDefault(null);
+  } else if (mode === 'record') {
+    transports.setDefault(null);
+    transports.setDefault(recorder(dir));
+  } else if (mode === 'replay') {
+    transports.setDefault(replayer(dir));
+  } else {
+    throw new TypeError(`Unknown fixture mode '${mode}', expected 'record' or 'replay'`);
+  }
+}
+
+module.exports = {
+  fixtureKey,
+  recorder,
+  replayer,
+  record: (dir) => use('record', dir),
+  replay: (dir) => use('replay', dir),
+  disable: () => use(null),
+  use
+};
@@ -0,0 +1,93 @@
+'use strict';
+
+const amp = require('./amp');
+const common = require('./common');
+const schema = require('./schema');
+const validate = require('./validate');
+const { fromUrl } = require('./url');
+const { ErrorHelpers } = require('./errors');
+
+const RELATIONSHIP = 'top-in-apps';
+// Safety net against `next` links that never end without repeating
+const MAX_PAGES = 50;
+
+function cleanInAppPurchase (resource) {
+  const attributes = resource.attributes || {};
+  const offer = (attributes.offers || [])[0] || {};
+  const description = attributes.description;
+  return {
+    id: resource.id,
+    productId: attributes.offerName || null,
+    name: attributes.name || null,
+    description: (description && typeof description === 'object' ? description.standard : description) || null,
+    price: typeof offer.price === 'number' ? offer.price : null,
+    formattedPrice: offer.priceFormatted || null,
+    currency: offer.currencyCode || null,
+    subscription: Boolean(attributes.isSubscription || offer.recurringSubscriptionPeriod),
+    // ISO 8601 duration, e.g. 'P1M'
+    period: offer.recurringSubscriptionPeriod || null,
+    family: attributes.subscriptionFamilyId
+      ? { id: attributes.subscriptionFamilyId, name: attributes.subscriptionFamilyName || null, rank: attributes.subscriptionFamilyRank || null }
+      : null,
+    familyShareable: typeof attributes.isFamilyShareable === 'boolean' ? attributes.isFamilyShareable : null
+  };
+}
+
+/**
+ * Reads one page of in-app purchases: the app document the first page comes
+ * in, or a page of the relationship itself.
+ * @returns {Object} `{ items, next }`, `next` being the path of the next page
+ */
+function parsePage (document) {
+  const valid = amp.resolveRelationships(schema.validate('inAppPurchases', document));
+  const app = valid.data.find((resource) => resource.type === 'apps');
+  const page = app
+    ? (app.relationships && app.relationships[RELATIONSHIP]) || { data: [] }
+    : valid;
+  const resources = page.resolved || page.data || [];
+  return {
+    items: resources.filter((resource) => resource && resource.attributes).map(cleanInAppPurchase),
+    next: page.next || null
+  };
+}
+
+schema.register('inAppPurchases', (document) => parsePage(document).items);
+
+/**
+ * Lists the in-app purchases of an app from the amp-api catalog, following
+ * the pages of the catalog until the last one.
+ */
+async function inAppPurchases (opts) {
+  opts = fromUrl(opts, 'app');
+  validate.options(opts);
+  validate.appIdentifier(opts);
+  validate.country(opts);
+  opts.country = opts.country || 'US';
+
+  const id = await common.resolveAppId(opts);
+  const document = await amp.catalog({ ids: [id], include: RELATIONSHIP }, opts);
+  if (document.data.length === 0) {
+    throw ErrorHelpers.appNotFound(id);
+  }
+  const first = parsePage(document);
+
+  const items = first.items;
+  const fetched = new Set();
+  let next = first.next;
+  while (next) {
+    if (fetched.has(next)) {
+      throw ErrorHelpers.invalidResponse('a next page of in-app purchases not fetched before', next);
+    }
+    if (fetched.size === MAX_PAGES) {
+      throw ErrorHelpers.invalidResponse(`a last page of in-app purchases within ${MAX_PAGES} pages`, next);
+    }
+    fetched.add(next);
+    // `next` is an absolute path, /v1 included
+    const page = parsePage(await amp.request(next.replace(/^\/v1/, ''), opts, `https://apps.apple.com/${opts.country.toLowerCase()}/app/id${id}`));
+    items.push(...page.items);
+    next = page.next;
+  }
+  return items;
+}
+
+module.exports = inAppPurchases;
@@ -2,6 +2,8 @@
 
 const R = require('ramda');
 const common = require('./common');
+const schema = require('./schema');
+const meta = require('./meta');
 const c = require('./constants');
 
 function parseLink (app) {
@@ -45,13 +47,19 @@ function cleanApp (app) {
   };
 }
 
-function processResults (opts) {
-  return function (results) {
-    const apps = results.feed.entry;
+// Feed entries; the feed drops the array when there is a single one
+function parseEntries (response) {
+  const data = schema.validate('list', response);
+  return [].concat(data.feed.entry || []);
+}
 
+schema.register('list', (response) => parseEntries(response).map(cleanApp));
+
+function processResults (opts) {
+  return function (apps) {
     if (opts.fullDetail) {
       const ids = apps.map((app) => app.id.attributes['im:id']);
-      return common.lookup(ids, 'id', opts.country, opts.lang, opts.requestOptions, opts.throttle);
+      return common.lookup(ids, 'id', opts.country, opts.lang, opts.requestOptions, opts);
     }
 
     return apps.map(cleanApp);
@@ -93,15 +101,17 @@ function validate (opts) {
 
 function list (opts) {
   return new Promise(function (resolve, reject) {
-    opts = R.clone(opts || {});
+    // a shallow copy keeps the per-call state, stored under a symbol
+    opts = Object.assign({}, opts);
     validate(opts);
 
     const category = opts.category ? `/genre=${opts.category}` : '';
     const storeId = common.storeId(opts.country);
     const url = `http://ax.itunes.apple.com/WebObjects/MZStoreServices.woa/ws/RSS/${opts.collection}/${category}/limit=${opts.num}/json?s=${storeId}`;
-    common.request(url, {}, opts.requestOptions)
-      .then((response) => typeof response === 'string' ? JSON.parse(response) : response)
+    common.request(url, {}, opts.requestOptions, opts)
+      .then(parseEntries)
       .then(processResults(opts))
+      .then((apps) => meta.attach(opts, apps))
       .then(resolve)
       .catch(reject);
   });
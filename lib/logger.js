@@ -0,0 +1,166 @@
+'use strict';
+
+const util = require('util');
+const createDebug = require('debug');
+
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+
+const REDACTED = '[REDACTED]';
+
+// Matched case-insensitively. Headers are looked up as object keys, params in
+// the query string of any URL found in a logged string.
+const DEFAULT_REDACT = {
+  headers: ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-apple-music-user-token', 'media-user-token'],
+  params: ['token', 'access_token', 'api_key', 'apikey', 'key', 'signature', 'sig', 'auth', 'password']
+};
+
+const settings = {
+  logger: null,
+  level: 'debug',
+  redact: DEFAULT_REDACT
+};
+
+function escape (text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function redactString (value) {
+  let result = value.replace(/(Bearer\s+)[^\s"',;]+/gi, `$1${REDACTED}`);
+  if (settings.redact.params.length) {
+    const names = settings.redact.params.map(escape).join('|');
+    result = result.replace(new RegExp(`([?&](?:${names})=)[^&#\\s"']*`, 'gi'), `$1${REDACTED}`);
+  }
+  return result;
+}
+
+/**
+ * Returns a copy of `value` with sensitive headers, bearer tokens and query
+ * parameters masked. Objects are copied, never modified.
+ */
+function redact (value, seen) {
+  if (!settings.redact) {
+    return value;
+  }
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    // same prototype without calling the constructor, whose signature varies
+    return Object.assign(Object.create(Object.getPrototypeOf(value)), redact(Object.assign({}, value), seen), {
+      message: redactString(value.message),
+      stack: value.stack && redactString(value.stack)
+    });
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  seen = seen || new WeakSet();
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, seen));
+  }
+  if (Object.getPrototypeOf(value) !== Object.prototype && Object.getPrototypeOf(value) !== null) {
+    // leave class instances (signals, agents, buffers...) to the formatter
+    return value;
+  }
+
+  const result = {};
+  Object.keys(value).forEach((key) => {
+    result[key] = settings.redact.headers.includes(key.toLowerCase())
+      ? REDACTED
+      : redact(value[key], seen);
+  });
+  return result;
+}
+
+function enabled (level) {
+  return LEVELS.indexOf(level) <= LEVELS.indexOf(settings.level);
+}
+
+/**
+ * Creates the logger of a module. The result can be called like a `debug`
+ * instance (`log('Fetched %d apps', n)`) to log at the debug level, and has
+ * one method per level taking a message and structured fields
+ * (`log.warn('Ratings fetch failed', { id })`).
+ *
+ * Entries are redacted, then handed to the logger given to `configure()`, or
+ * to the `debug` package under `namespace` by default, so
+ * `DEBUG=app-store-scraper*` keeps working.
+ */
+function createLogger (namespace) {
+  const sink = createDebug(namespace);
+
+  function write (level, message, fields) {
+    if (!enabled(level)) {
+      return;
+    }
+    // skip the formatting work when nothing would be printed
+    if (!settings.logger && !sink.enabled) {
+      return;
+    }
+
+    if (settings.logger) {
+      const log = settings.logger[level] || settings.logger.log;
+      if (log) {
+        log.call(settings.logger, message, Object.assign({ namespace }, redact(fields)));
+      }
+      return;
+    }
+
+    const prefix = level === 'debug' ? '' : `[${level}] `;
+    if (fields && Object.keys(fields).length) {
+      sink('%s%s %o', prefix, message, redact(fields));
+    } else {
+      sink('%s%s', prefix, message);
+    }
+  }
+
+  const log = (format, ...args) => {
+    if (enabled('debug') && (settings.logger || sink.enabled)) {
+      write('debug', util.format(redact(format), ...args.map((arg) => redact(arg))));
+    }
+  };
+
+  LEVELS.forEach((level) => {
+    log[level] = (message, fields) => write(level, redact(String(message)), fields);
+  });
+
+  return log;
+}
+
+/**
+ * Sets the process-wide logging options.
+ * @param {Object} options - `{ logger, level, redact }`: an object with
+ *   error/warn/info/debug methods (console, winston, a pino wrapper...) or
+ *   null for the `debug` package; the most verbose level to log; and the
+ *   `{ headers, params }` names to mask, added to the defaults, or false to
+ *   log everything as is
+ */
+function configure (options) {
+  options = options || {};
+
+  if (options.level !== undefined) {
+    if (!LEVELS.includes(options.level)) {
+      throw new TypeError(`Unknown log level '${options.level}', expected one of ${LEVELS.join(', ')}`);
+    }
+    settings.level = options.level;
+  }
+
+  if (options.logger !== undefined) {
+    settings.logger = options.logger;
+  }
+
+  if (options.redact !== undefined) {
+    settings.redact = options.redact && {
+      headers: DEFAULT_REDACT.headers.concat((options.redact.headers || []).map((name) => name.toLowerCase())),
+      params: DEFAULT_REDACT.params.concat(options.redact.params || [])
+    };
+  }
+}
+
+module.exports = { createLogger, configure, redact, LEVELS };
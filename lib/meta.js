@@ -0,0 +1,58 @@
+'use strict';
+
+const common = require('./common');
+const events = require('./events');
+const schema = require('./schema');
+
+/**
+ * Name of the upstream endpoint a request went to, for `meta.sources`.
+ */
+function endpointOf (url) {
+  const endpoint = schema.endpointOf(url);
+  if (endpoint) {
+    return endpoint;
+  }
+  try {
+    const parsed = new URL(url);
+    return parsed.hostname === 'apps.apple.com' ? 'appPage' : parsed.hostname;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Builds the provenance of the current call from the requests it made.
+ * @param {Object} opts - Method options, carrying the per-call state
+ * @param {Object} fields - Extra fields, e.g. `{ screenshots }` for app()
+ * @returns {Object} The `meta` block
+ */
+function provenance (opts, fields) {
+  const sources = (events.callOf(opts).sources || [])
+    .map((source) => Object.assign({ endpoint: endpointOf(source.url) }, source));
+  const received = sources.map((source) => source.language).find(Boolean);
+  return Object.assign({
+    sources,
+    storefront: common.storeId(opts.country),
+    country: events.storefront(opts),
+    language: { requested: opts.lang || null, received: received || null },
+    fetchedAt: sources.length ? sources[0].fetchedAt : new Date().toISOString(),
+    cached: false
+  }, fields);
+}
+
+/**
+ * Adds the `meta` block to a result, or to every item of a list, when the
+ * `meta` option is set.
+ */
+function attach (opts, result, fields) {
+  if (!opts.meta || !result || typeof result !== 'object') {
+    return result;
+  }
+  const meta = provenance(opts, fields);
+  const withMeta = (item) => item && typeof item === 'object'
+    ? Object.assign({}, item, { meta: Object.assign({}, meta) })
+    : item;
+  return Array.isArray(result) ? result.map(withMeta) : withMeta(result);
+}
+
+module.exports = { attach, provenance, endpointOf };
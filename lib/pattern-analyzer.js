@@ -1,6 +1,6 @@
 'use strict';
 
-const debug = require('debug')('app-store-scraper:pattern-analyzer');
+const debug = require('./logger').createLogger('app-store-scraper:pattern-analyzer');
 
 /**
  * Analyzes screenshot patterns to determine optimal filtering strategies
@@ -1,38 +1,32 @@
 'use strict';
 
+const amp = require('./amp');
 const common = require('./common');
+const schema = require('./schema');
+const validate = require('./validate');
+const { fromUrl } = require('./url');
+const { ErrorHelpers } = require('./errors');
 
-function privacy (opts) {
-  opts.country = opts.country || 'US';
+function parsePrivacy (document, id) {
+  const resource = schema.validate('privacy', document).data[0];
+  if (!resource) {
+    throw ErrorHelpers.appNotFound(id);
+  }
+  return resource.attributes.privacyDetails;
+}
 
-  return new Promise((resolve) => {
-    if (opts.id) {
-      resolve();
-    } else {
-      throw Error('Either id or appId is required');
-    }
-  })
-    .then(() => {
-      const tokenUrl = `https://apps.apple.com/${opts.country}/app/id${opts.id}`;
-      return common.request(tokenUrl, {}, opts.requestOptions);
-    })
-    .then((html) => {
-      const regExp = /token%22%3A%22([^%]+)%22%7D/g;
-      const match = regExp.exec(html);
-      const token = match[1];
+schema.register('privacy', parsePrivacy);
 
-      const url = `https://amp-api-edge.apps.apple.com/v1/catalog/${opts.country}/apps/${opts.id}?platform=web&fields=privacyDetails`;
-      return common.request(url, {
-        Origin: 'https://apps.apple.com',
-        Authorization: `Bearer ${token}`
-      }, opts.requestOptions);
-    })
-    .then((json) => {
-      if (json.length === 0) { throw Error('App not found (404)'); }
+async function privacy (opts) {
+  opts = fromUrl(opts, 'app');
+  validate.options(opts);
+  validate.appIdentifier(opts);
+  validate.country(opts);
+  opts.country = opts.country || 'US';
 
-      const data = typeof json === 'string' ? JSON.parse(json) : json;
-      return data.data[0].attributes.privacyDetails;
-    });
+  const id = await common.resolveAppId(opts);
+  const document = await amp.catalog({ ids: [id], fields: 'privacyDetails' }, opts);
+  return parsePrivacy(document, id);
 }
 
-module.exports = privacy;
\ No newline at end of file
+module.exports = privacy;
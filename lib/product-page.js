@@ -0,0 +1,185 @@
+'use strict';
+
+const common = require('./common');
+const schema = require('./schema');
+const artwork = require('./artwork');
+
+const PAGE_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+  Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.5',
+  'Accept-Encoding': 'gzip, deflate, br',
+  Connection: 'keep-alive'
+};
+
+// The page embeds the amp-api documents it was rendered from
+const SHOEBOX = 'script#shoebox-media-api-cache-apps';
+
+/**
+ * Fetches the apps.apple.com product page of an app. app() fetches it once
+ * for the screenshot fallback, the details and the previews. The request
+ * options of the call (proxy, headers, timeout...) apply on top of the page
+ * defaults.
+ * @returns {Promise<string>} The page HTML
+ */
+function fetchPage (appId, country, opts) {
+  const url = `https://apps.apple.com/${country || 'us'}/app/id${appId}`;
+  return common.request(url, PAGE_HEADERS, Object.assign({ timeout: 10000 }, opts && opts.requestOptions), opts);
+}
+
+// First non-empty value, null when there is none
+function first (...values) {
+  const found = values.find((value) => value !== undefined && value !== null && value !== '');
+  return found === undefined ? null : found;
+}
+
+function appResource ($) {
+  const violation = (expected, actual, context) => schema.schemaError('appPage', { path: SHOEBOX, expected, actual, context });
+
+  let cache;
+  try {
+    cache = JSON.parse($(SHOEBOX).first().html());
+  } catch (error) {
+    throw violation('JSON', 'unparseable text', $(SHOEBOX).first().html());
+  }
+
+  for (const key of Object.keys(cache || {})) {
+    let document;
+    try {
+      document = typeof cache[key] === 'string' ? JSON.parse(cache[key]) : cache[key];
+    } catch (error) {
+      continue;
+    }
+    const resources = document && (document.d || document.data);
+    const found = Array.isArray(resources) && resources.find((resource) => resource && resource.type === 'apps' && resource.attributes);
+    if (found) {
+      return found;
+    }
+  }
+  throw violation('an apps resource', 'none', cache);
+}
+
+function inAppPurchases (resource, platform) {
+  const relationship = resource.relationships && resource.relationships['top-in-apps'];
+  if (!relationship || !Array.isArray(relationship.data)) {
+    return platform.hasInAppPurchases === false ? [] : null;
+  }
+  return relationship.data
+    .filter((item) => item.attributes)
+    .map((item) => {
+      const offer = (item.attributes.offers || [])[0] || {};
+      return {
+        id: item.id,
+        name: item.attributes.name,
+        price: first(offer.price),
+        formattedPrice: first(offer.priceFormatted)
+      };
+    });
+}
+
+/**
+ * Reads the details the iTunes lookup lacks from the structured data of a
+ * product page. Sections the page does not have are null and named in
+ * `missingDetails`, nothing is inferred from the rest of the page.
+ * @param {string} html - The product page
+ * @returns {Object} The details, to merge into the app
+ * @throws {ParseError} When the page has no structured data for the app
+ */
+function parseDetails (html) {
+  const resource = appResource(schema.validate('appPage', html));
+  const attributes = resource.attributes;
+  const platforms = attributes.platformAttributes || {};
+  const platform = platforms.ios || platforms[Object.keys(platforms)[0]] || {};
+  const rating = (attributes.contentRatingsBySystem || {}).appsApple || {};
+
+  const details = {
+    subtitle: first(platform.subtitle, attributes.subtitle),
+    promotionalText: first(platform.promotionalText, attributes.promotionalText),
+    inAppPurchases: inAppPurchases(resource, platform),
+    ageRating: first(rating.name),
+    contentDescriptors: Array.isArray(rating.advisories) ? rating.advisories : null,
+    copyright: first(platform.copyright, attributes.copyright),
+    seller: first(platform.seller, attributes.sellerName),
+    supportUrl: first(attributes.supportURLForLanguage, platform.supportURLForLanguage),
+    privacyPolicyUrl: first(attributes.privacyPolicyUrl, platform.privacyPolicyUrl),
+    features: {
+      familySharing: first(attributes.isFamilyShareable, platform.isFamilyShareable),
+      gameCenter: first(platform.isGameCenterEnabled, attributes.isGameCenterEnabled),
+      gameControllers: first(platform.supportsGameController, attributes.supportsGameController)
+    }
+  };
+
+  const missingDetails = Object.keys(details).filter((key) => details[key] === null)
+    .concat(Object.keys(details.features).filter((key) => details.features[key] === null).map((key) => `features.${key}`));
+  return Object.assign(details, { missingDetails });
+}
+
+schema.register('appPage', parseDetails);
+
+// Device families of the preview display types, e.g. iphone_6_5 or ipadPro_2018
+const DEVICE_FAMILIES = [
+  ['iphone', /^iphone/i],
+  ['ipad', /^ipad/i],
+  ['appletv', /^appletv/i],
+  ['mac', /^mac/i],
+  ['watch', /watch/i],
+  ['vision', /vision/i]
+];
+
+// Artwork URLs are templates, e.g. .../{w}x{h}{c}.{f}, rendered at the size
+// the page gives
+function artworkUrl (image) {
+  const parsed = image && artwork.parse(image.url);
+  if (!parsed || (parsed.template && !image.width)) {
+    return null;
+  }
+  return artwork.build(image.url, { width: image.width || undefined, height: image.height || undefined });
+}
+
+function cleanPreview (preview, device) {
+  const milliseconds = first(preview.durationInMilliseconds, preview.duration && preview.duration * 1000);
+  return {
+    url: first(preview.video, preview.videoUrl, preview.hlsUrl),
+    poster: artworkUrl(preview.previewFrame),
+    duration: milliseconds === null ? null : Math.round(milliseconds) / 1000,
+    device
+  };
+}
+
+/**
+ * Reads the app preview videos of a product page, per device family. Each one
+ * has its HLS playlist `url`, `poster` frame, `duration` in seconds (null when
+ * the page doesn't tell) and the display type it targets as `device`.
+ * @param {string} html - The product page
+ * @returns {Object} `{ iphone, ipad, appletv, mac, watch, vision }` lists
+ * @throws {ParseError} When the page has no structured data for the app
+ */
+function parsePreviews (html) {
+  const attributes = appResource(schema.validate('appPage', html)).attributes;
+  const platforms = attributes.platformAttributes || {};
+  const sources = [attributes].concat(Object.keys(platforms).map((name) => platforms[name]));
+
+  const previews = {};
+  DEVICE_FAMILIES.forEach(([family]) => {
+    previews[family] = [];
+  });
+  const seen = new Set();
+  sources.forEach((source) => {
+    const byType = (source && source.videoPreviewsByType) || {};
+    Object.keys(byType).forEach((device) => {
+      const family = DEVICE_FAMILIES.find(([, pattern]) => pattern.test(device));
+      if (!family || !Array.isArray(byType[device])) {
+        return;
+      }
+      byType[device].map((preview) => cleanPreview(preview, device))
+        .filter((preview) => preview.url && !seen.has(preview.url))
+        .forEach((preview) => {
+          seen.add(preview.url);
+          previews[family[0]].push(preview);
+        });
+    });
+  });
+  return previews;
+}
+
+module.exports = { fetchPage, parseDetails, parsePreviews, PAGE_HEADERS };
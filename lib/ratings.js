@@ -1,12 +1,15 @@
 'use strict';
 
-const cheerio = require('cheerio');
 const common = require('./common');
+const schema = require('./schema');
+const meta = require('./meta');
+const { fromUrl } = require('./url');
 
 function ratings (opts) {
   const { ValidationError, ErrorHelpers } = require('./errors');
   
   return new Promise(function (resolve) {
+    opts = fromUrl(opts, 'app');
     if (!opts || typeof opts !== 'object') {
       throw new ValidationError('Options object is required');
     }
@@ -30,21 +33,21 @@ function ratings (opts) {
 
     resolve(common.request(url, {
       'X-Apple-Store-Front': `${storeFront},12`
-    }, opts.requestOptions));
+    }, opts.requestOptions, opts));
   })
     .then((html) => {
       if (html.length === 0) {
-        throw Error('App not found (404)');
+        throw ErrorHelpers.appNotFound(opts.id);
       }
 
-      return parseRatings(html);
+      return meta.attach(opts, parseRatings(html));
     });
 }
 
 module.exports = ratings;
 
 function parseRatings (html) {
-  const $ = cheerio.load(html);
+  const $ = schema.validate('ratings', html);
 
   const ratingsMatch = $('.rating-count').text().match(/\d+/);
   const ratings = Array.isArray(ratingsMatch) ? parseInt(ratingsMatch[0]) : 0;
@@ -57,3 +60,5 @@ function parseRatings (html) {
 
   return { ratings, histogram };
 }
+
+schema.register('ratings', parseRatings);
@@ -0,0 +1,131 @@
+'use strict';
+
+const debug = require('./logger').createLogger('app-store-scraper:retry');
+const { NetworkError, RateLimitError, ServiceUnavailableError } = require('./errors');
+const { sleep } = require('./abort');
+
+const DEFAULT_POLICY = {
+  attempts: 3, // total attempts, including the first one
+  baseDelay: 1000,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: 0.2, // +/- fraction of the computed delay
+  maxRetryAfter: 60000, // give up instead of waiting longer than this for Retry-After
+  errors: [RateLimitError, ServiceUnavailableError],
+  statusCodes: [429, 500, 502, 503, 504],
+  networkFailures: true // retry when no response was received at all
+};
+
+/**
+ * Builds a retry policy from the `retry` option. Retries are disabled unless
+ * the option is `true` (default policy) or an object overriding part of it.
+ * @param {boolean|Object} retry - The `retry` option
+ * @returns {Object|null} The policy, or null when retries are disabled
+ */
+function resolvePolicy (retry) {
+  if (!retry) {
+    return null;
+  }
+  return Object.assign({}, DEFAULT_POLICY, retry === true ? {} : retry);
+}
+
+/**
+ * Converts a Retry-After header value (seconds or HTTP date) to milliseconds.
+ * @returns {number|null} Delay in milliseconds, null if missing or unparseable
+ */
+function parseRetryAfter (value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+  return null;
+}
+
+function isRetryable (error, policy) {
+  if (policy.errors.some((ErrorClass) => error instanceof ErrorClass)) {
+    return true;
+  }
+  if (!(error instanceof NetworkError)) {
+    return false;
+  }
+  if (error.statusCode) {
+    return policy.statusCodes.includes(error.statusCode);
+  }
+  return policy.networkFailures;
+}
+
+function backoff (attempt, policy) {
+  const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, attempt - 1));
+  const spread = delay * policy.jitter;
+  return Math.max(0, Math.round(delay - spread + Math.random() * spread * 2));
+}
+
+/**
+ * Runs `fn` until it succeeds, the error is not retryable or the policy runs
+ * out of attempts. The final error gets the attempt history in
+ * `details.attempts`.
+ * @param {Function} fn - Function returning a promise, called once per attempt
+ * @param {boolean|Object} retry - The `retry` option
+ * @param {Object} options - `{ signal, onRetry }`: a signal cutting the wait
+ *   between attempts short, and a callback `(error, attempt, delay)` called
+ *   before each wait
+ * @returns {Promise} The result of the first successful attempt
+ */
+async function withRetry (fn, retry, options) {
+  options = options || {};
+  const policy = resolvePolicy(retry);
+  if (!policy) {
+    return fn();
+  }
+
+  const history = [];
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const entry = {
+        attempt,
+        error: error.message,
+        code: error.code,
+        statusCode: error.statusCode,
+        at: new Date().toISOString()
+      };
+      history.push(entry);
+
+      let delay = null;
+      if (attempt < policy.attempts && isRetryable(error, policy)) {
+        const retryAfter = parseRetryAfter(error.retryAfter || (error.details && error.details.retryAfter));
+        if (retryAfter === null) {
+          delay = backoff(attempt, policy);
+        } else if (retryAfter <= policy.maxRetryAfter) {
+          delay = retryAfter;
+        }
+      }
+
+      if (delay === null) {
+        if (error.details && typeof error.details === 'object') {
+          error.details.attempts = history;
+        }
+        throw error;
+      }
+
+      entry.delay = delay;
+      debug('Attempt %d failed (%s), retrying in %dms', attempt, error.message, delay);
+      if (options.onRetry) {
+        options.onRetry(error, attempt, delay);
+      }
+      await sleep(delay, options.signal);
+    }
+  }
+}
+
+module.exports = { withRetry, resolvePolicy, parseRetryAfter, isRetryable, DEFAULT_POLICY };
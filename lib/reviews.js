@@ -2,7 +2,11 @@
 
 const R = require('ramda');
 const common = require('./common');
-const app = require('./app');
+const schema = require('./schema');
+const meta = require('./meta');
+const validate = require('./validate');
+const { fromUrl } = require('./url');
+const { ErrorHelpers } = require('./errors');
 const c = require('./constants');
 
 function ensureArray (value) {
@@ -17,7 +21,8 @@ function ensureArray (value) {
   return [value];
 }
 
-function cleanList (results) {
+function cleanList (response) {
+  const results = schema.validate('reviews', response);
   const reviews = ensureArray(results.feed.entry);
   return reviews.map((review) => ({
     id: review.id.label,
@@ -32,38 +37,26 @@ function cleanList (results) {
   }));
 }
 
-const reviews = (opts) => new Promise((resolve) => {
-  validate(opts);
+async function reviews (opts) {
+  opts = fromUrl(opts, 'app');
+  validate.options(opts);
+  validate.appIdentifier(opts);
+  validateReviewOptions(opts);
+  validate.country(opts);
 
-  if (opts.id) {
-    resolve(opts.id);
-  } else if (opts.appId) {
-    resolve(app(opts).then(app => app.id));
-  }
-})
-  .then((id) => {
-    opts = opts || {};
-    opts.sort = opts.sort || c.sort.RECENT;
-    opts.page = opts.page || 1;
-    opts.country = opts.country || 'us';
+  const id = await common.resolveAppId(opts);
+  opts.sort = opts.sort || c.sort.RECENT;
+  opts.page = opts.page || 1;
+  opts.country = opts.country || 'us';
 
-    const url = `https://itunes.apple.com/${opts.country}/rss/customerreviews/page=${opts.page}/id=${id}/sortby=${opts.sort}/json`;
-    return common.request(url, {}, opts.requestOptions);
-  })
-  .then((response) => typeof response === 'string' ? JSON.parse(response) : response)
-  .then(cleanList);
+  const url = `https://itunes.apple.com/${opts.country}/rss/customerreviews/page=${opts.page}/id=${id}/sortby=${opts.sort}/json`;
+  const list = cleanList(await common.request(url, {}, opts.requestOptions, opts));
+  return meta.attach(opts, list);
+}
 
-function validate (opts) {
-  const { ValidationError, ErrorHelpers } = require('./errors');
-  
-  if (!opts || typeof opts !== 'object') {
-    throw new ValidationError('Options object is required');
-  }
-  
-  if (!opts.id && !opts.appId) {
-    throw ErrorHelpers.missingParameter('id or appId', 'Provide either "id" (numeric App Store ID) or "appId" (bundle identifier)');
-  }
+schema.register('reviews', cleanList);
 
+function validateReviewOptions (opts) {
   if (opts.sort && !R.includes(opts.sort, R.values(c.sort))) {
     const validSorts = R.values(c.sort);
     throw ErrorHelpers.invalidParameter('sort', opts.sort, `Valid options are: ${validSorts.join(', ')}`);
@@ -76,10 +69,6 @@ function validate (opts) {
   if (opts.page && opts.page > 10) {
     throw ErrorHelpers.invalidParameter('page', opts.page, 'Cannot be greater than 10 (Apple Store limitation)');
   }
-  
-  if (opts.country && (typeof opts.country !== 'string' || opts.country.length !== 2)) {
-    throw ErrorHelpers.invalidParameter('country', opts.country, 'Must be a 2-letter country code (e.g., "us", "gb", "fr")');
-  }
 }
 
 module.exports = reviews;
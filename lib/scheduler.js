@@ -0,0 +1,249 @@
+'use strict';
+
+const debug = require('./logger').createLogger('app-store-scraper:scheduler');
+const { abortError, onAbort } = require('./abort');
+
+/**
+ * Default per-host budgets. A budget applies to its host and every subdomain,
+ * so search.itunes.apple.com and itunes.apple.com draw from the same pool.
+ */
+const DEFAULT_HOSTS = {
+  'itunes.apple.com': { maxRequests: 10, perMilliseconds: 1000 },
+  'apps.apple.com': { maxRequests: 5, perMilliseconds: 1000 },
+  'amp-api-edge.apps.apple.com': { maxRequests: 5, perMilliseconds: 1000 }
+};
+
+const DEFAULT_CONCURRENCY = 10;
+
+function hostOf (url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Process-wide request scheduler. Every request made by the library goes
+ * through a single queue, bounded by a global concurrency cap and by a rate
+ * budget for the host it targets.
+ */
+class Scheduler {
+  constructor (options) {
+    this.queue = [];
+    this.active = 0;
+    this.budgets = {};
+    // hosts without a budget are still tracked so per-call throttles hold
+    this.unbudgeted = {};
+    this.timer = null;
+    this.configure(Object.assign({ concurrency: DEFAULT_CONCURRENCY, hosts: DEFAULT_HOSTS }, options));
+  }
+
+  /**
+   * Updates the scheduler limits. Host budgets are merged with the current ones;
+   * pass `null` for a host to remove its budget.
+   * @param {Object} options - `{ concurrency, hosts: { [host]: { maxRequests, perMilliseconds } } }`
+   */
+  configure (options) {
+    options = options || {};
+
+    if (options.concurrency !== undefined) {
+      if (typeof options.concurrency !== 'number' || options.concurrency < 1) {
+        throw new TypeError('concurrency must be a positive number');
+      }
+      this.concurrency = options.concurrency;
+    }
+
+    Object.keys(options.hosts || {}).forEach((host) => {
+      const budget = options.hosts[host];
+      const key = host.toLowerCase();
+      if (!budget) {
+        delete this.budgets[key];
+        return;
+      }
+      const existing = this.budgets[key];
+      this.budgets[key] = {
+        maxRequests: budget.maxRequests,
+        perMilliseconds: budget.perMilliseconds || 1000,
+        started: existing ? existing.started : [],
+        active: existing ? existing.active : 0
+      };
+    });
+
+    this._pump();
+    return this;
+  }
+
+  /**
+   * Queues a task. The task is started once the global concurrency cap and the
+   * host budget allow it.
+   * @param {string} url - Target URL, used to pick the host budget
+   * @param {Function} task - Function returning a promise
+   * @param {Object} options - `{ throttle, signal }`: extra per-second cap for
+   *   this call, and a signal dropping the task from the queue if it fires first
+   * @returns {Promise} Resolves or rejects with the task result
+   */
+  schedule (url, task, options) {
+    const throttle = options && options.throttle;
+    const signal = options && options.signal;
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(abortError(signal));
+        return;
+      }
+
+      const host = hostOf(url);
+      const item = { key: this._budgetKey(host) || host, task, throttle, resolve, reject };
+      item.removeListener = onAbort(signal, () => {
+        const index = this.queue.indexOf(item);
+        if (index !== -1) {
+          debug('Dropping aborted request to %s from the queue', host);
+          this.queue.splice(index, 1);
+          reject(abortError(signal));
+          this._pump();
+        }
+      });
+      this.queue.push(item);
+      this._pump();
+    });
+  }
+
+  /**
+   * Returns the current queue depth and activity, globally and per host budget.
+   */
+  stats () {
+    const now = Date.now();
+    const hosts = {};
+    Object.keys(this.budgets).forEach((key) => {
+      const budget = this.budgets[key];
+      hosts[key] = {
+        active: budget.active,
+        queued: this.queue.filter((item) => item.key === key).length,
+        recent: budget.started.filter((time) => now - time < budget.perMilliseconds).length,
+        maxRequests: budget.maxRequests,
+        perMilliseconds: budget.perMilliseconds
+      };
+    });
+
+    return {
+      active: this.active,
+      queued: this.queue.length,
+      concurrency: this.concurrency,
+      hosts
+    };
+  }
+
+  _budgetKey (host) {
+    let candidate = host;
+    while (candidate) {
+      if (this.budgets[candidate]) {
+        return candidate;
+      }
+      const dot = candidate.indexOf('.');
+      candidate = dot === -1 ? '' : candidate.slice(dot + 1);
+    }
+    return null;
+  }
+
+  _state (key) {
+    if (this.budgets[key]) {
+      return this.budgets[key];
+    }
+    if (!this.unbudgeted[key]) {
+      this.unbudgeted[key] = { maxRequests: null, perMilliseconds: 1000, started: [], active: 0 };
+    }
+    return this.unbudgeted[key];
+  }
+
+  // Milliseconds until the item may start, 0 if it can start right away.
+  _waitFor (item, now) {
+    const budget = this._state(item.key);
+    budget.started = budget.started.filter((time) => now - time < Math.max(budget.perMilliseconds, 1000));
+
+    let wait = 0;
+    const within = (window) => budget.started.filter((time) => now - time < window);
+    const check = (max, window) => {
+      const recent = within(window);
+      if (recent.length >= max) {
+        wait = Math.max(wait, recent[recent.length - max] + window - now);
+      }
+    };
+
+    if (budget.maxRequests) {
+      check(budget.maxRequests, budget.perMilliseconds);
+    }
+    if (item.throttle) {
+      check(item.throttle, 1000);
+    }
+    return wait;
+  }
+
+  _pump () {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const now = Date.now();
+    const blocked = new Set();
+    let nextWake = Infinity;
+
+    for (let i = 0; i < this.queue.length && this.active < this.concurrency;) {
+      const item = this.queue[i];
+      if (blocked.has(item.key)) {
+        i++;
+        continue;
+      }
+
+      const wait = this._waitFor(item, now);
+      if (wait > 0) {
+        // keep FIFO order within a host: later items for it wait too
+        blocked.add(item.key);
+        nextWake = Math.min(nextWake, wait);
+        i++;
+        continue;
+      }
+
+      this.queue.splice(i, 1);
+      this._start(item, now);
+    }
+
+    if (nextWake !== Infinity && this.active < this.concurrency) {
+      debug('Rate budget exhausted, waking up in %dms (%d queued)', nextWake, this.queue.length);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this._pump();
+      }, nextWake);
+    }
+  }
+
+  _start (item, now) {
+    item.removeListener();
+    const budget = this._state(item.key);
+    this.active++;
+    budget.active++;
+    budget.started.push(now);
+
+    const done = () => {
+      // look the budget up again, it may have been reconfigured meanwhile
+      const current = this._state(item.key);
+      this.active--;
+      current.active = Math.max(0, current.active - 1);
+      this._pump();
+    };
+
+    Promise.resolve()
+      .then(item.task)
+      .then((result) => {
+        done();
+        item.resolve(result);
+      }, (error) => {
+        done();
+        item.reject(error);
+      });
+  }
+}
+
+const scheduler = new Scheduler();
+
+module.exports = { Scheduler, scheduler, DEFAULT_HOSTS };
@@ -0,0 +1,265 @@
+'use strict';
+
+const cheerio = require('cheerio');
+const { ParseError } = require('./errors');
+
+/**
+ * Declarative shapes of the responses the parsers rely on. A schema is:
+ * - a type name (`'string'`, `'number'`, `'object'`, `'array'`, `'any'`...),
+ *   or several joined with `|`
+ * - `[item]` for an array whose items all match `item`
+ * - `{ key: schema }` for an object, `'key?'` marking optional keys
+ * - `oneOrMany(item)` for RSS feeds, which drop the array around single entries
+ * - `html({ selector: count })` for HTML pages, requiring at least `count`
+ *   elements per selector, `'selector?'` allowing none at all as well
+ * Only what the parsers traverse is described, extra fields are ignored.
+ */
+
+const SAMPLE_LENGTH = 200;
+
+const oneOrMany = (item) => ({ $oneOrMany: item });
+const html = (selectors) => ({ $html: selectors });
+
+const label = { label: 'string' };
+
+const ENDPOINTS = {
+  lookup: {
+    url: /^https?:\/\/itunes\.apple\.com\/lookup\?/,
+    schema: { results: ['object'] }
+  },
+  search: {
+    url: /^https?:\/\/search\.itunes\.apple\.com\/WebObjects\/MZStore\.woa\/wa\/search\?/,
+    schema: { 'bubbles?': [{ 'results?': [{ id: 'string|number' }] }] }
+  },
+  list: {
+    url: /^https?:\/\/ax\.itunes\.apple\.com\/WebObjects\/MZStoreServices\.woa\/ws\/RSS\//,
+    schema: {
+      feed: {
+        'entry?': oneOrMany({
+          id: { attributes: { 'im:id': 'string', 'im:bundleId': 'string' } },
+          'im:name': label,
+          'im:artist': label,
+          'im:image': [label],
+          'im:price': { attributes: { amount: 'string', currency: 'string' } },
+          'im:releaseDate': label,
+          category: { attributes: { label: 'string', 'im:id': 'string' } }
+        })
+      }
+    }
+  },
+  reviews: {
+    url: /^https?:\/\/itunes\.apple\.com\/[a-z]{2}\/rss\/customerreviews\//,
+    schema: {
+      feed: {
+        'entry?': oneOrMany({
+          id: label,
+          author: { name: label, uri: label },
+          'im:version': label,
+          'im:rating': label,
+          title: label,
+          content: label,
+          link: { attributes: { href: 'string' } },
+          updated: label
+        })
+      }
+    }
+  },
+  ratings: {
+    url: /^https?:\/\/itunes\.apple\.com\/[a-z]{2}\/customer-reviews\/id/,
+    // apps without ratings yet have no histogram
+    schema: html({ '.vote .total?': 5 })
+  },
+  suggest: {
+    url: /^https?:\/\/search\.itunes\.apple\.com\/WebObjects\/MZSearchHints\.woa\/wa\/hints\?/,
+    schema: { plist: { dict: [{ array: 'array' }] } }
+  },
+  privacy: {
+    url: /^https?:\/\/amp-api-edge\.apps\.apple\.com\/v1\/catalog\/.*[?&]fields=privacyDetails/,
+    schema: { data: [{ attributes: { privacyDetails: 'object' } }] }
+  },
+  versionHistory: {
+    url: /^https?:\/\/amp-api-edge\.apps\.apple\.com\/v1\/catalog\/.*[?&]extend=versionHistory/,
+    schema: { data: [{ attributes: { platformAttributes: { 'ios?': { versionHistory: ['object'] } } } }] }
+  },
+  inAppPurchases: {
+    url: /^https?:\/\/amp-api-edge\.apps\.apple\.com\/v1\/catalog\/.*top-in-apps/,
+    schema: { data: [{ id: 'string', type: 'string' }], 'next?': 'string' }
+  },
+  appPage: {
+    url: /^https?:\/\/apps\.apple\.com\/[a-z]{2}\/app\/id\d+/,
+    schema: html({ 'script#shoebox-media-api-cache-apps': 1 })
+  },
+  ampCatalog: {
+    url: /^https?:\/\/amp-api-edge\.apps\.apple\.com\/v1\/catalog\//,
+    schema: { data: ['object'] }
+  }
+};
+
+// Parsers turning a raw response of an endpoint into the method result, used
+// by selfCheck() to run them against recorded fixtures
+const parsers = {};
+
+function typeOf (value) {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function describe (schema) {
+  if (typeof schema === 'string') {
+    return schema;
+  }
+  if (Array.isArray(schema)) {
+    return 'array';
+  }
+  return schema.$oneOrMany ? 'object or array' : 'object';
+}
+
+function childPath (path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}["${key}"]`;
+}
+
+// Returns the first violation `{ path, expected, actual, context }` or null.
+// `context` is the closest value around the failure, used as sample.
+function check (value, schema, path, parent) {
+  const violation = (expected) => ({ path, expected, actual: typeOf(value), context: value === undefined ? parent : value });
+
+  if (typeof schema === 'string') {
+    if (schema === 'any') {
+      return value === undefined ? violation('any value') : null;
+    }
+    return schema.split('|').includes(typeOf(value)) ? null : violation(schema);
+  }
+
+  if (schema.$oneOrMany) {
+    return Array.isArray(value)
+      ? check(value, [schema.$oneOrMany], path, parent)
+      : check(value, schema.$oneOrMany, path, parent);
+  }
+
+  if (Array.isArray(schema)) {
+    if (!Array.isArray(value)) {
+      return violation('array');
+    }
+    for (let i = 0; i < value.length; i++) {
+      const found = check(value[i], schema[0], `${path}[${i}]`, value);
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  }
+
+  if (typeOf(value) !== 'object') {
+    return violation('object');
+  }
+  for (const key of Object.keys(schema)) {
+    const optional = key.endsWith('?');
+    const name = optional ? key.slice(0, -1) : key;
+    if (value[name] === undefined && optional) {
+      continue;
+    }
+    const found = value[name] === undefined
+      ? { path: childPath(path, name), expected: describe(schema[key]), actual: 'undefined', context: value }
+      : check(value[name], schema[key], childPath(path, name), value);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+function sample (value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  if (text === undefined) {
+    return String(value);
+  }
+  return text.length > SAMPLE_LENGTH ? `${text.substring(0, SAMPLE_LENGTH)}...` : text;
+}
+
+/**
+ * Builds the ParseError reported when a response of `endpoint` does not have
+ * the expected shape.
+ * @param {string} endpoint - Endpoint name, a key of ENDPOINTS
+ * @param {Object} violation - `{ path, expected, actual, context }`
+ * @returns {ParseError}
+ */
+function schemaError (endpoint, violation) {
+  const excerpt = sample(violation.context);
+  return new ParseError(
+    `Unexpected ${endpoint} response: expected ${violation.expected} at ${violation.path} but got ${violation.actual}. ` +
+    `The App Store response format may have changed. Sample: ${excerpt}`,
+    endpoint,
+    { endpoint, path: violation.path, expected: violation.expected, actual: violation.actual, sample: excerpt }
+  );
+}
+
+function checkHtml (endpoint, body, selectors) {
+  if (typeof body !== 'string') {
+    throw schemaError(endpoint, { path: '$', expected: 'HTML string', actual: typeOf(body), context: body });
+  }
+  const $ = cheerio.load(body);
+  Object.keys(selectors).forEach((key) => {
+    const optional = key.endsWith('?');
+    const selector = optional ? key.slice(0, -1) : key;
+    const count = $(selector).length;
+    if (count < selectors[key] && !(optional && count === 0)) {
+      throw schemaError(endpoint, {
+        path: selector,
+        expected: `${optional ? 'none or ' : ''}at least ${selectors[key]} element(s)`,
+        actual: `${count}`,
+        context: $('body').text().replace(/\s+/g, ' ').trim() || body
+      });
+    }
+  });
+  return $;
+}
+
+/**
+ * Checks a raw response against the schema of its endpoint. JSON strings are
+ * parsed first.
+ * @param {string} endpoint - Endpoint name, a key of ENDPOINTS
+ * @param {*} data - Response body
+ * @returns {*} The parsed body, or a cheerio document for HTML endpoints
+ * @throws {ParseError} Naming the endpoint, the broken path and a sample
+ */
+function validate (endpoint, data) {
+  const schema = ENDPOINTS[endpoint].schema;
+  if (schema.$html) {
+    return checkHtml(endpoint, data, schema.$html);
+  }
+
+  let value = data;
+  if (typeof data === 'string') {
+    try {
+      value = JSON.parse(data);
+    } catch (error) {
+      throw schemaError(endpoint, { path: '$', expected: 'JSON', actual: 'unparseable text', context: data });
+    }
+  }
+
+  const violation = check(value, schema, '$');
+  if (violation) {
+    throw schemaError(endpoint, violation);
+  }
+  return value;
+}
+
+/**
+ * Registers the parser of an endpoint for selfCheck().
+ * @param {string} endpoint - Endpoint name, a key of ENDPOINTS
+ * @param {Function} parse - `(data) => result`, may return a promise
+ */
+function register (endpoint, parse) {
+  parsers[endpoint] = parse;
+}
+
+/**
+ * Returns the name of the endpoint a URL belongs to, or null.
+ */
+function endpointOf (url) {
+  return Object.keys(ENDPOINTS).find((name) => ENDPOINTS[name].url.test(url)) || null;
+}
+
+module.exports = { ENDPOINTS, parsers, validate, register, endpointOf, schemaError, oneOrMany, html };
@@ -1,18 +1,25 @@
 'use strict';
 
-const debug = require('debug')('app-store-scraper:screenshot-chain');
+const debug = require('./logger').createLogger('app-store-scraper:screenshot-chain');
+const common = require('./common');
 const { extractScreenshotsFromWeb } = require('./screenshot-fallback');
 const { ContentDeduplicator } = require('./content-deduplicator');
 const { SmartFilter } = require('./smart-filter');
 const { ScreenshotValidator } = require('./screenshot-validator');
+const { ErrorHelpers } = require('./errors');
+const { sleep } = require('./abort');
 
 /**
  * Robust screenshot extraction chain with multiple fallback strategies
  * Provides reliable screenshot extraction by trying multiple approaches
  */
 class ScreenshotChain {
-  constructor() {
-    this.validator = new ScreenshotValidator();
+  /**
+   * @param {Object} opts - Scraper options (transport, throttle, retry...) used for its requests
+   */
+  constructor(opts = {}) {
+    this.opts = opts;
+    this.validator = new ScreenshotValidator(opts);
     this.deduplicator = new ContentDeduplicator();
     this.smartFilter = new SmartFilter();
     this.debug = debug;
@@ -70,6 +77,9 @@ class ScreenshotChain {
         }
         
       } catch (error) {
+        if (ErrorHelpers.isFatal(error)) {
+          throw error;
+        }
         lastError = error;
         debug('Web scraping attempt %d threw error: %s', attempt, error.message);
       }
@@ -110,6 +120,9 @@ class ScreenshotChain {
       return { success: true, data: processed };
       
     } catch (error) {
+      if (ErrorHelpers.isFatal(error)) {
+        throw error;
+      }
       return { success: false, reason: 'api_processing_error', error };
     }
   }
@@ -119,7 +132,7 @@ class ScreenshotChain {
       const { attempt = 1, skipValidation = false } = options;
       
       // Extract raw screenshots from web
-      const webScreenshots = await extractScreenshotsFromWeb(appId, country);
+      const webScreenshots = await extractScreenshotsFromWeb(appId, country, this.opts);
       
       // Check if extraction was successful
       const totalScreenshots = webScreenshots.screenshots.length + 
@@ -153,6 +166,9 @@ class ScreenshotChain {
       return { success: true, data: processed };
       
     } catch (error) {
+      if (ErrorHelpers.isFatal(error)) {
+        throw error;
+      }
       return { success: false, reason: 'web_scraping_error', error };
     }
   }
@@ -228,7 +244,7 @@ class ScreenshotChain {
   }
 
   async delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    return sleep(ms, this.opts.signal);
   }
 
   /**
@@ -315,18 +331,13 @@ class ScreenshotChain {
 
     for (const url of sampleUrls) {
       try {
-        const axios = require('axios');
-        const response = await axios.head(url, { 
-          timeout: 3000,
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (compatible; ScreenshotChain/1.0)'
-          }
-        });
-        
-        if (response.status !== 200) {
-          failures++;
-        }
+        await common.request(url, {
+          'User-Agent': 'Mozilla/5.0 (compatible; ScreenshotChain/1.0)'
+        }, { method: 'HEAD', timeout: 3000 }, this.opts);
       } catch (error) {
+        if (ErrorHelpers.isFatal(error)) {
+          throw error;
+        }
         failures++;
       }
     }
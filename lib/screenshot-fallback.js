@@ -1,32 +1,25 @@
 'use strict';
 
-const axios = require('axios');
-const debug = require('debug')('app-store-scraper:screenshot-fallback');
-const { ParseError, NetworkError, ErrorHelpers } = require('./errors');
+const debug = require('./logger').createLogger('app-store-scraper:screenshot-fallback');
+const { fetchPage } = require('./product-page');
+const artwork = require('./artwork');
+const { NetworkError, ErrorHelpers } = require('./errors');
 
 /**
  * Extracts screenshot URLs from App Store webpage when iTunes API returns empty results
  * @param {string} appId - The iTunes app ID
  * @param {string} country - Country code (default: 'us')
+ * @param {Object} opts - Scraper options (transport, throttle, retry...) used for the page request
+ * @param {Function} onError - Called with the error when extraction fails, before empty arrays are returned
+ * @param {Function} loadPage - Resolves to the product page HTML, for callers that already fetched it
  * @returns {Promise<Object>} Object containing screenshots, ipadScreenshots, and appletvScreenshots arrays
  */
-async function extractScreenshotsFromWeb(appId, country = 'us') {
-  const url = `https://apps.apple.com/${country}/app/id${appId}`;
+async function extractScreenshotsFromWeb(appId, country = 'us', opts = {}, onError = null, loadPage = null) {
   debug('Extracting screenshots from web for app %s, country %s', appId, country);
   
   try {
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Connection': 'keep-alive'
-      },
-      timeout: 10000
-    });
-    
-    const html = response.data;
+    const html = await (loadPage ? loadPage() : fetchPage(appId, country, opts));
+
     debug('Received HTML page, size: %d characters', html.length);
     
     // Extract all mzstatic URLs from the page
@@ -62,20 +55,27 @@ async function extractScreenshotsFromWeb(appId, country = 'us') {
     let ipadScreenshots = primaryGroups.ipad || [];
     let appletvScreenshots = primaryGroups.appletv || [];
     
-    // Remove basic duplicates and clean URLs
-    screenshots = [...new Set(screenshots)].filter(Boolean).map(cleanScreenshotUrl).filter(Boolean);
-    ipadScreenshots = [...new Set(ipadScreenshots)].filter(Boolean).map(cleanScreenshotUrl).filter(Boolean);
-    appletvScreenshots = [...new Set(appletvScreenshots)].filter(Boolean).map(cleanScreenshotUrl).filter(Boolean);
+    // Remove basic duplicates and escape characters
+    const unescape = (url) => url.replace(/\\/g, '');
+    screenshots = [...new Set(screenshots)].filter(Boolean).map(unescape);
+    ipadScreenshots = [...new Set(ipadScreenshots)].filter(Boolean).map(unescape);
+    appletvScreenshots = [...new Set(appletvScreenshots)].filter(Boolean).map(unescape);
     
     // Apply basic deduplication to avoid multiple sizes of same image
     screenshots = deduplicateScreenshots(screenshots);
     ipadScreenshots = deduplicateScreenshots(ipadScreenshots);
     appletvScreenshots = deduplicateScreenshots(appletvScreenshots);
     
-    // Apply conservative validation - prefer empty results over contaminated ones
+    // Apply conservative validation - prefer empty results over contaminated ones.
+    // It runs on the URLs of the page, before templates get a size of ours.
     screenshots = applyConservativeValidation(screenshots, 'iphone');
     ipadScreenshots = applyConservativeValidation(ipadScreenshots, 'ipad');
     
+    // Render templated URLs
+    screenshots = screenshots.map(cleanScreenshotUrl).filter(Boolean);
+    ipadScreenshots = ipadScreenshots.map(cleanScreenshotUrl).filter(Boolean);
+    appletvScreenshots = appletvScreenshots.map(cleanScreenshotUrl).filter(Boolean);
+
     // Apply reasonable limits to prevent over-extraction
     if (screenshots.length > 8) screenshots = screenshots.slice(0, 8);
     if (ipadScreenshots.length > 8) ipadScreenshots = ipadScreenshots.slice(0, 8);
@@ -92,14 +92,23 @@ async function extractScreenshotsFromWeb(appId, country = 'us') {
     
   } catch (error) {
     debug('Error extracting screenshots from web: %s', error.message);
+
+    // a missing fixture or an aborted call must fail the call, not look like "no screenshots"
+    if (ErrorHelpers.isFatal(error)) {
+      throw error;
+    }
     
     // Log specific error types for debugging
-    if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
+    if (error instanceof NetworkError && !error.statusCode) {
       debug('Network error during screenshot extraction: %s', error.message);
-    } else if (error.response && error.response.status === 404) {
+    } else if (error.statusCode === 404) {
       debug('App page not found: %s', appId);
-    } else if (error.response && error.response.status >= 500) {
-      debug('App Store server error during screenshot extraction: %s', error.response.status);
+    } else if (error.statusCode >= 500) {
+      debug('App Store server error during screenshot extraction: %s', error.statusCode);
+    }
+
+    if (onError) {
+      onError(error);
     }
     
     // Return empty arrays if extraction fails - this should not prevent app data retrieval
@@ -111,6 +120,10 @@ async function extractScreenshotsFromWeb(appId, country = 'us') {
   }
 }
 
+// Size templated screenshots are rendered at, other sizes are a call to
+// artwork.build() or to the at() helper of the `artwork` option away
+const TEMPLATE_SIZE = { width: 392, height: 696 };
+
 /**
  * Cleans and standardizes screenshot URLs while preserving meaningful identifiers
  * CRITICAL: This function preserves the unique path information that identifies different screenshots
@@ -121,12 +134,11 @@ function cleanScreenshotUrl(url) {
   // Remove escape characters
   url = url.replace(/\\/g, '');
   
-  // Convert dynamic size placeholders to standard sizes, PRESERVING the unique path
-  if (url.includes('{w}x{h}{c}.{f}')) {
-    // IMPORTANT: Don't just replace with generic size - this would destroy unique identifiers!
-    // The path before the template contains the unique screenshot identifier
-    url = url.replace('{w}x{h}{c}.{f}\\', '392x696bb.jpg');
-    url = url.replace('{w}x{h}{c}.{f}', '392x696bb.jpg');
+  // Convert dynamic size placeholders to the standard size, PRESERVING the unique path
+  // that identifies the screenshot
+  const parsed = artwork.parse(url);
+  if (parsed && parsed.template) {
+    url = artwork.build(url, Object.assign({ crop: 'bb', format: 'jpg' }, TEMPLATE_SIZE));
   }
   
   // Ensure URL is properly formatted
@@ -485,9 +497,12 @@ function applyConservativeValidation(screenshots, deviceType) {
  * @param {Object} appData - App data from iTunes API
  * @param {string} appId - iTunes app ID
  * @param {string} country - Country code
+ * @param {Object} opts - Scraper options passed down to the page request
+ * @param {Function} onError - Called with the error when the page can't be scraped
+ * @param {Function} loadPage - Resolves to the product page HTML, see extractScreenshotsFromWeb
  * @returns {Promise<Object>} Enhanced app data with screenshots
  */
-async function getScreenshotsWithFallback(appData, appId, country = 'us') {
+async function getScreenshotsWithFallback(appData, appId, country = 'us', opts = {}, onError = null, loadPage = null) {
   debug('Getting screenshots with fallback for app %s', appId);
   
   // Check if iTunes API already has screenshots
@@ -513,7 +528,7 @@ async function getScreenshotsWithFallback(appData, appId, country = 'us') {
         needsIphoneScreenshots, needsIpadScreenshots, needsAppleTvScreenshots);
   
   try {
-    const webScreenshots = await extractScreenshotsFromWeb(appId, country);
+    const webScreenshots = await extractScreenshotsFromWeb(appId, country, opts, onError, loadPage);
     
     // Only use web scraping results for missing platforms, preserve existing iTunes API data
     return {
@@ -525,6 +540,10 @@ async function getScreenshotsWithFallback(appData, appId, country = 'us') {
     
   } catch (error) {
     debug('Web fallback failed: %s', error.message);
+    // with onError, what reaches here was rethrown on purpose by the caller
+    if (ErrorHelpers.isFatal(error) || onError) {
+      throw error;
+    }
     // Return original app data if fallback fails
     return appData;
   }
@@ -532,5 +551,6 @@ async function getScreenshotsWithFallback(appData, appId, country = 'us') {
 
 module.exports = {
   extractScreenshotsFromWeb,
-  getScreenshotsWithFallback
+  getScreenshotsWithFallback,
+  cleanScreenshotUrl
 };
\ No newline at end of file
@@ -1,14 +1,19 @@
 'use strict';
 
-const axios = require('axios');
-const debug = require('debug')('app-store-scraper:screenshot-validator');
+const debug = require('./logger').createLogger('app-store-scraper:screenshot-validator');
+const common = require('./common');
+const { ErrorHelpers } = require('./errors');
 
 /**
  * Validates that screenshot data is fresh and matches current App Store reality
  * This helps detect cached/stale data that doesn't reflect current app screenshots
  */
 class ScreenshotValidator {
-  constructor() {
+  /**
+   * @param {Object} opts - Scraper options (transport, throttle, retry...) used for its requests
+   */
+  constructor(opts = {}) {
+    this.opts = opts;
     this.validationCache = new Map(); // Cache validation results to avoid excessive requests
     this.maxCacheAge = 60000; // 1 minute validation cache
   }
@@ -43,6 +48,9 @@ class ScreenshotValidator {
 
       return validation;
     } catch (error) {
+      if (ErrorHelpers.isFatal(error)) {
+        throw error;
+      }
       debug('Validation failed for app %s: %s', appId, error.message);
       return {
         isValid: false,
@@ -92,14 +100,14 @@ class ScreenshotValidator {
   async _checkAppPageExists(appId, country) {
     try {
       const url = `https://apps.apple.com/${country}/app/id${appId}`;
-      const response = await axios.head(url, {
-        timeout: 5000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; ScreenshotValidator/1.0)'
-        }
-      });
-      return response.status === 200;
+      await common.request(url, {
+        'User-Agent': 'Mozilla/5.0 (compatible; ScreenshotValidator/1.0)'
+      }, { method: 'HEAD', timeout: 5000 }, this.opts);
+      return true;
     } catch (error) {
+      if (ErrorHelpers.isFatal(error)) {
+        throw error;
+      }
       return false;
     }
   }
@@ -255,17 +263,14 @@ class ScreenshotValidator {
     
     for (const url of sampleUrls) {
       try {
-        const response = await axios.head(url, {
-          timeout: 3000,
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (compatible; ScreenshotValidator/1.0)'
-          }
-        });
-        
-        if (response.status === 200) {
-          accessibleCount++;
-        }
+        await common.request(url, {
+          'User-Agent': 'Mozilla/5.0 (compatible; ScreenshotValidator/1.0)'
+        }, { method: 'HEAD', timeout: 3000 }, this.opts);
+        accessibleCount++;
       } catch (error) {
+        if (ErrorHelpers.isFatal(error)) {
+          throw error;
+        }
         debug('Screenshot URL not accessible: %s', url);
       }
     }
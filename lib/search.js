@@ -2,7 +2,10 @@
 
 const R = require('ramda');
 const common = require('./common');
-const { ValidationError, ParseError, ErrorHelpers } = require('./errors');
+const validate = require('./validate');
+const schema = require('./schema');
+const meta = require('./meta');
+const { ErrorHelpers } = require('./errors');
 const BASE_URL = 'https://search.itunes.apple.com/WebObjects/MZStore.woa/wa/search?clientApplication=Software&media=software&term=';
 
 // TODO find out if there's a way to filter by device
@@ -16,20 +19,18 @@ function paginate (num, page) {
   return R.slice(pageStart, pageEnd);
 }
 
+// Search hits, in relevance order. A response without bubbles has no results.
+function parseSearch (response) {
+  const data = schema.validate('search', response);
+  return (data.bubbles && data.bubbles[0] && data.bubbles[0].results) || [];
+}
+
+schema.register('search', parseSearch);
+
 async function search (opts) {
-  // Input validation
-  if (!opts || typeof opts !== 'object') {
-    throw new ValidationError('Options object is required');
-  }
-  
-  if (!opts.term || typeof opts.term !== 'string') {
-    throw ErrorHelpers.missingParameter('term', 'Provide a search term as a non-empty string');
-  }
-  
-  if (opts.term.trim().length === 0) {
-    throw ErrorHelpers.invalidParameter('term', opts.term, 'Search term cannot be empty or contain only whitespace');
-  }
-  
+  validate.options(opts);
+  validate.term(opts);
+
   // Validate optional parameters
   if (opts.num && (typeof opts.num !== 'number' || opts.num < 1 || opts.num > 200)) {
     throw ErrorHelpers.invalidParameter('num', opts.num, 'Must be a number between 1 and 200');
@@ -39,9 +40,7 @@ async function search (opts) {
     throw ErrorHelpers.invalidParameter('page', opts.page, 'Must be a number starting from 1');
   }
   
-  if (opts.country && (typeof opts.country !== 'string' || opts.country.length !== 2)) {
-    throw ErrorHelpers.invalidParameter('country', opts.country, 'Must be a 2-letter country code (e.g., "us", "gb", "fr")');
-  }
+  validate.country(opts);
   
   const url = BASE_URL + encodeURIComponent(opts.term);
   const storeId = common.storeId(opts.country);
@@ -54,31 +53,11 @@ async function search (opts) {
         'X-Apple-Store-Front': `${storeId},24 t:native`,
         'Accept-Language': lang
       },
-      opts.requestOptions
+      opts.requestOptions,
+      opts
     );
     
-    // Parse and validate response
-    let data;
-    try {
-      data = typeof response === 'string' ? JSON.parse(response) : response;
-    } catch (parseError) {
-      throw ErrorHelpers.invalidResponse('valid JSON', response);
-    }
-    
-    // Validate response structure
-    if (!data || typeof data !== 'object') {
-      throw ErrorHelpers.invalidResponse('search response object', data);
-    }
-    
-    if (!data.bubbles || !Array.isArray(data.bubbles)) {
-      // Empty search results is valid, but malformed structure is not
-      if (data.bubbles === undefined) {
-        return []; // No results found
-      }
-      throw ErrorHelpers.invalidResponse('search results with bubbles array', data);
-    }
-    
-    const results = (data.bubbles[0] && data.bubbles[0].results) || [];
+    const results = parseSearch(response);
     const paginatedResults = paginate(opts.num, opts.page)(results);
     const ids = R.pluck('id', paginatedResults);
     
@@ -91,7 +70,8 @@ async function search (opts) {
       return [];
     }
     
-    return await common.lookup(ids, 'id', opts.country, opts.lang, opts.requestOptions, opts.throttle);
+    const apps = await common.lookup(ids, 'id', opts.country, opts.lang, opts.requestOptions, opts);
+    return meta.attach(opts, apps);
     
   } catch (error) {
     // Re-throw with additional context if it's our error type
@@ -0,0 +1,80 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const debug = require('./logger').createLogger('app-store-scraper:self-check');
+const schema = require('./schema');
+const validate = require('./validate');
+const { ErrorHelpers } = require('./errors');
+
+async function readFixtures (dir) {
+  let files;
+  try {
+    files = await fs.promises.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw ErrorHelpers.invalidParameter('dir', dir, 'Directory does not exist');
+    }
+    throw error;
+  }
+
+  const fixtures = [];
+  for (const file of files.filter((name) => name.endsWith('.json')).sort()) {
+    const fullPath = path.join(dir, file);
+    try {
+      const fixture = JSON.parse(await fs.promises.readFile(fullPath, 'utf8'));
+      if (fixture.request && fixture.response) {
+        fixtures.push(Object.assign({ file: fullPath }, fixture));
+      }
+    } catch (error) {
+      debug('Skipping unreadable fixture %s', fullPath);
+    }
+  }
+  return fixtures;
+}
+
+/**
+ * Runs the parser of every endpoint against the responses recorded in a
+ * fixture directory, to notice changes of the App Store formats before they
+ * break real calls. Error responses and pages no parser reads are skipped.
+ * @param {Object} opts - `{ dir }`, a directory recorded with fixtures.record()
+ * @returns {Promise<Object>} `{ ok, checked, failed, results, untested }`
+ */
+async function selfCheck (opts) {
+  validate.options(opts);
+  if (!opts.dir || typeof opts.dir !== 'string') {
+    throw ErrorHelpers.missingParameter('dir', 'Provide the directory the fixtures were recorded to');
+  }
+
+  const results = [];
+  for (const fixture of await readFixtures(opts.dir)) {
+    const endpoint = schema.endpointOf(fixture.request.url);
+    if (!endpoint || fixture.response.status >= 400) {
+      continue;
+    }
+
+    const parse = schema.parsers[endpoint] || ((data) => schema.validate(endpoint, data));
+    const result = { endpoint, url: fixture.request.url, file: fixture.file, ok: true };
+    try {
+      await parse(fixture.response.data);
+    } catch (error) {
+      // anything thrown while parsing a recorded success is drift, not only ParseErrors
+      debug('%s fixture %s failed: %s', endpoint, fixture.file, error.message);
+      result.ok = false;
+      result.error = error;
+    }
+    results.push(result);
+  }
+
+  const failed = results.filter((result) => !result.ok);
+  const checked = new Set(results.map((result) => result.endpoint));
+  return {
+    ok: failed.length === 0,
+    checked: results.length,
+    failed,
+    results,
+    untested: Object.keys(schema.ENDPOINTS).filter((endpoint) => !checked.has(endpoint))
+  };
+}
+
+module.exports = selfCheck;
@@ -1,37 +1,54 @@
 'use strict';
 
-const app = require('./app');
 const BASE_URL = 'https://itunes.apple.com/us/app/app/id';
 const common = require('./common.js');
+const validate = require('./validate');
+const { fromUrl } = require('./url');
+const { ErrorHelpers } = require('./errors');
 
-function similar (opts) {
-  return new Promise(function (resolve, reject) {
-    if (opts.id) {
-      resolve(opts.id);
-    } else if (opts.appId) {
-      app(opts).then((app) => resolve(app.id)).catch(reject);
-    } else {
-      throw Error('Either id or appId is required');
-    }
-  })
-    .then((id) => common.request(
-      `${BASE_URL}${id}`,
-      {
-        'X-Apple-Store-Front': `${common.storeId(opts.country)},32`
-      },
-      opts.requestOptions
-    ))
-    .then(function (text) {
-      const index = text.indexOf('customersAlsoBoughtApps');
-      if (index === -1) {
-        return [];
-      }
-      const regExp = /customersAlsoBoughtApps":(.*?\])/g;
-      const match = regExp.exec(text);
-      const ids = JSON.parse(match[1]);
-
-      return common.lookup(ids, 'id', opts.country, opts.lang, opts.requestOptions, opts.throttle);
-    });
+function parseIds (text) {
+  const match = /customersAlsoBoughtApps":(.*?\])/.exec(text);
+  if (!match) {
+    return [];
+  }
+
+  let ids;
+  try {
+    ids = JSON.parse(match[1]);
+  } catch (error) {
+    throw ErrorHelpers.invalidResponse('customersAlsoBoughtApps id list', match[1]);
+  }
+  if (!Array.isArray(ids)) {
+    throw ErrorHelpers.invalidResponse('customersAlsoBoughtApps id list', ids);
+  }
+  return ids;
+}
+
+async function similar (opts) {
+  opts = fromUrl(opts, 'app');
+  validate.options(opts);
+  validate.appIdentifier(opts);
+  validate.country(opts);
+
+  const id = await common.resolveAppId(opts);
+  const text = await common.request(
+    `${BASE_URL}${id}`,
+    {
+      'X-Apple-Store-Front': `${common.storeId(opts.country)},32`
+    },
+    opts.requestOptions,
+    opts
+  );
+
+  if (typeof text !== 'string') {
+    throw ErrorHelpers.invalidResponse('app page HTML', text);
+  }
+
+  const ids = parseIds(text);
+  if (ids.length === 0) {
+    return [];
+  }
+  return common.lookup(ids, 'id', opts.country, opts.lang, opts.requestOptions, opts);
 }
 
 module.exports = similar;
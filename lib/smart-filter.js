@@ -1,6 +1,6 @@
 'use strict';
 
-const debug = require('debug')('app-store-scraper:smart-filter');
+const debug = require('./logger').createLogger('app-store-scraper:smart-filter');
 const { PatternAnalyzer } = require('./pattern-analyzer');
 
 /**
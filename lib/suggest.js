@@ -1,6 +1,8 @@
 'use strict';
 
 const common = require('./common');
+const validate = require('./validate');
+const schema = require('./schema');
 const parseString = require('xml2js').parseString;
 
 const BASE_URL = 'https://search.itunes.apple.com/WebObjects/MZSearchHints.woa/wa/hints?clientApplication=Software&term=';
@@ -9,7 +11,7 @@ function parseXML (string) {
   return new Promise(function (resolve, reject) {
     return parseString(string, (err, res) => {
       if (err) {
-        reject(err);
+        reject(schema.schemaError('suggest', { path: '$', expected: 'XML plist', actual: 'unparseable text', context: string }));
         return;
       }
       resolve(res);
@@ -22,23 +24,27 @@ function extractSuggestions (xml) {
     term: item.string[0]
   });
 
-  const list = xml.plist.dict[0].array[0].dict || [];
-  return list.map(toJSON);
+  const root = schema.validate('suggest', xml).plist.dict[0];
+  const list = (root.array[0] && root.array[0].dict) || [];
+  return list.filter((item) => Array.isArray(item.string)).map(toJSON);
 }
 
 // TODO see language Accept-Language: en-us, en;q=0.50
 
-function suggest (opts) {
-  return new Promise(function (resolve) {
-    if (!opts && !opts.term) {
-      throw Error('term missing');
-    }
-
-    return resolve(BASE_URL + encodeURIComponent(opts.term));
-  })
-    .then(url => common.request(url, {'X-Apple-Store-Front': `${common.storeId(opts.country)},29`}, opts.requestOptions))
-    .then(parseXML)
-    .then(extractSuggestions);
+function parseSuggestions (response) {
+  return parseXML(response).then(extractSuggestions);
+}
+
+schema.register('suggest', parseSuggestions);
+
+async function suggest (opts) {
+  validate.options(opts);
+  validate.term(opts);
+  validate.country(opts);
+
+  const url = BASE_URL + encodeURIComponent(opts.term);
+  const xml = await common.request(url, {'X-Apple-Store-Front': `${common.storeId(opts.country)},29`}, opts.requestOptions, opts);
+  return parseSuggestions(xml);
 }
 
 module.exports = suggest;
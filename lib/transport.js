@@ -0,0 +1,85 @@
+'use strict';
+
+const axios = require('axios');
+const agents = require('./agents');
+
+/**
+ * A transport performs a single HTTP exchange. It receives the request config
+ * (`{ url, method, headers, ...requestOptions }`) and resolves to
+ * `{ status, statusText, headers, data }` whatever the status code is. It only
+ * rejects when no response could be obtained at all.
+ */
+
+const wrapped = new WeakMap();
+
+/**
+ * Adapts an axios instance to the transport interface.
+ * @param {Function} instance - axios or an instance created with axios.create()
+ * @returns {Function} Transport function
+ */
+function fromAxios (instance) {
+  if (wrapped.has(instance)) {
+    return wrapped.get(instance);
+  }
+
+  const transport = (config) => instance.request(Object.assign({}, config, {
+    validateStatus: () => true
+  })).then((response) => ({
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers || {},
+    data: response.data
+  }));
+
+  wrapped.set(instance, transport);
+  return transport;
+}
+
+/**
+ * The built-in transport: axios over the shared keep-alive agents. Agents
+ * given in the request options take precedence.
+ */
+function axiosWithAgents () {
+  const transport = fromAxios(axios);
+  return (config) => {
+    const shared = agents.get();
+    return transport(Object.assign({ httpAgent: shared.http, httpsAgent: shared.https }, config));
+  };
+}
+
+const builtin = axiosWithAgents();
+let defaultTransport = builtin;
+
+/**
+ * Returns the transport to use for a request: the one given in the options
+ * (a transport function or an axios instance), or the default one.
+ * @param {Function|Object} transport - The `transport` option
+ * @returns {Function} Transport function
+ */
+function resolve (transport) {
+  if (!transport) {
+    return defaultTransport;
+  }
+  // axios instances are functions too, so look for .request first
+  if (typeof transport.request === 'function') {
+    return fromAxios(transport);
+  }
+  if (typeof transport === 'function') {
+    return transport;
+  }
+  throw new TypeError('transport must be a function or an axios instance');
+}
+
+/**
+ * Replaces the transport used when a call does not provide its own.
+ * @param {Function|Object} transport - Transport function or axios instance, falsy to restore axios
+ */
+function setDefault (transport) {
+  defaultTransport = transport ? resolve(transport) : builtin;
+}
+
+function getDefault () {
+  return defaultTransport;
+}
+
+module.exports = { fromAxios, resolve, setDefault, getDefault };
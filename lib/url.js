@@ -0,0 +1,105 @@
+'use strict';
+
+const { ErrorHelpers } = require('./errors');
+
+const PROTOCOLS = ['https:', 'http:', 'itms-apps:', 'itms-appss:', 'macappstore:'];
+const HOST = /(^|\.)(apps|itunes)\.apple\.com$/;
+const PLATFORMS = ['iphone', 'ipad', 'mac', 'appletv', 'watch', 'vision'];
+
+function invalid (url) {
+  return ErrorHelpers.invalidParameter('url', url, 'Must be an App Store app or developer link, e.g. https://apps.apple.com/us/app/name/id553834731');
+}
+
+/**
+ * Reads an App Store link: apps.apple.com and itunes.apple.com pages,
+ * developer (artist) pages and itms-apps:// links.
+ * @param {string} url - The link
+ * @returns {Object} `{ type, id, country, platform, productPageId }`, `type`
+ *   being 'app' or 'developer' and the other fields null when absent
+ * @throws {ValidationError} When the link is not an App Store app or developer link
+ */
+function parseUrl (url) {
+  if (typeof url !== 'string') {
+    throw invalid(url);
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch (error) {
+    throw invalid(url);
+  }
+  if (!PROTOCOLS.includes(parsed.protocol) || !HOST.test(parsed.hostname.toLowerCase())) {
+    throw invalid(url);
+  }
+
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  const country = segments.length && /^[a-z]{2}$/i.test(segments[0]) ? segments[0].toLowerCase() : null;
+  const idSegment = segments.map((segment) => /^id(\d+)$/.exec(segment)).find(Boolean);
+  // old style links: /WebObjects/MZStore.woa/wa/viewSoftware?id=553834731
+  const id = idSegment ? idSegment[1] : (/^\d+$/.test(parsed.searchParams.get('id') || '') ? parsed.searchParams.get('id') : null);
+  const isDeveloper = segments.includes('developer') || segments.includes('artist');
+
+  if (!id || (!isDeveloper && !segments.includes('app') && !parsed.pathname.includes('viewSoftware'))) {
+    throw invalid(url);
+  }
+
+  let platform = (parsed.searchParams.get('platform') || '').toLowerCase();
+  if (!PLATFORMS.includes(platform)) {
+    platform = parsed.protocol === 'macappstore:' || parsed.searchParams.get('mt') === '12' ? 'mac' : null;
+  }
+
+  return {
+    type: isDeveloper ? 'developer' : 'app',
+    id,
+    country,
+    platform,
+    productPageId: parsed.searchParams.get('ppid') || null
+  };
+}
+
+/**
+ * Country of a link, null when it has none or is not an App Store link.
+ */
+function countryOf (url) {
+  try {
+    return parseUrl(url).country;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Replaces the `url` option of a method by the id it links to (`id`, or
+ * `devId` for developers). The country of the link is used unless the
+ * options have one.
+ * @param {Object} opts - Method options
+ * @param {string} type - 'app' or 'developer'
+ * @returns {Object} New options, or `opts` itself without `url`
+ */
+function fromUrl (opts, type) {
+  if (!opts || typeof opts !== 'object' || opts.url === undefined) {
+    return opts;
+  }
+
+  const field = type === 'developer' ? 'devId' : 'id';
+  const conflicting = type === 'developer' ? ['devId'] : ['id', 'appId'];
+  const other = conflicting.find((name) => opts[name] !== undefined);
+  if (other) {
+    throw ErrorHelpers.invalidParameter('url', opts.url, `Cannot be combined with "${other}"`);
+  }
+
+  const link = parseUrl(opts.url);
+  if (link.type !== type) {
+    throw ErrorHelpers.invalidParameter('url', opts.url, `Must be an App Store ${type} link`);
+  }
+
+  const resolved = Object.assign({}, opts, { [field]: link.id });
+  delete resolved.url;
+  if (!opts.country && link.country) {
+    resolved.country = link.country;
+  }
+  return resolved;
+}
+
+module.exports = { parseUrl, countryOf, fromUrl };
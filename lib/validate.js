@@ -0,0 +1,90 @@
+'use strict';
+
+const { ValidationError, ErrorHelpers } = require('./errors');
+
+/**
+ * Shared input checks. Each one throws a ValidationError whose `field` names
+ * the offending option, so every method reports the same mistake the same way.
+ */
+
+function options (opts) {
+  if (!opts || typeof opts !== 'object') {
+    throw new ValidationError('Options object is required');
+  }
+}
+
+/**
+ * Requires either `id` (numeric App Store id) or `appId` (bundle id).
+ */
+function appIdentifier (opts) {
+  if (!opts.id && !opts.appId) {
+    throw ErrorHelpers.missingParameter('id or appId', 'Provide either "id" (numeric App Store ID) or "appId" (bundle identifier like com.company.app)');
+  }
+
+  if (opts.id && (typeof opts.id !== 'string' && typeof opts.id !== 'number')) {
+    throw ErrorHelpers.invalidParameter('id', opts.id, 'Must be a string or number');
+  }
+
+  if (opts.appId && typeof opts.appId !== 'string') {
+    throw ErrorHelpers.invalidParameter('appId', opts.appId, 'Must be a string in format com.company.app');
+  }
+}
+
+/**
+ * Requires either `ids` (numeric App Store ids) or `appIds` (bundle ids), as a
+ * non-empty array.
+ */
+function appIdentifiers (opts) {
+  if (!opts.ids && !opts.appIds) {
+    throw ErrorHelpers.missingParameter('ids or appIds', 'Provide either "ids" (numeric App Store IDs) or "appIds" (bundle identifiers)');
+  }
+
+  if (opts.ids && opts.appIds) {
+    throw ErrorHelpers.invalidParameter('ids', opts.ids, 'Provide either "ids" or "appIds", not both');
+  }
+
+  const field = opts.ids ? 'ids' : 'appIds';
+  if (!Array.isArray(opts[field]) || opts[field].length === 0) {
+    throw ErrorHelpers.invalidParameter(field, opts[field], 'Must be a non-empty array');
+  }
+}
+
+function country (opts) {
+  if (opts.country && (typeof opts.country !== 'string' || opts.country.length !== 2)) {
+    throw ErrorHelpers.invalidParameter('country', opts.country, 'Must be a 2-letter country code (e.g., "us", "gb", "fr")');
+  }
+}
+
+function term (opts) {
+  if (!opts.term || typeof opts.term !== 'string') {
+    throw ErrorHelpers.missingParameter('term', 'Provide a search term as a non-empty string');
+  }
+
+  if (opts.term.trim().length === 0) {
+    throw ErrorHelpers.invalidParameter('term', opts.term, 'Search term cannot be empty or contain only whitespace');
+  }
+}
+
+/**
+ * Requires `opts[name]` to be a string or a number.
+ */
+function identifier (opts, name, suggestion) {
+  if (!opts[name]) {
+    throw ErrorHelpers.missingParameter(name, suggestion);
+  }
+
+  if (typeof opts[name] !== 'string' && typeof opts[name] !== 'number') {
+    throw ErrorHelpers.invalidParameter(name, opts[name], 'Must be a string or number');
+  }
+}
+
+/**
+ * Requires `opts[name]`, when given, to be a positive number.
+ */
+function positiveNumber (opts, name) {
+  if (opts[name] !== undefined && (typeof opts[name] !== 'number' || opts[name] < 1)) {
+    throw ErrorHelpers.invalidParameter(name, opts[name], 'Must be a positive number');
+  }
+}
+
+module.exports = { options, appIdentifier, appIdentifiers, country, term, identifier, positiveNumber };
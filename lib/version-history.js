@@ -1,38 +1,49 @@
 'use strict';
 
+const amp = require('./amp');
 const common = require('./common');
+const schema = require('./schema');
+const validate = require('./validate');
+const { fromUrl } = require('./url');
+const { ErrorHelpers } = require('./errors');
 
-function versionHistory (opts) {
-  opts.country = opts.country || 'US';
+function parseVersionHistory (document, id) {
+  const resource = schema.validate('versionHistory', document).data[0];
+  if (!resource) {
+    throw ErrorHelpers.appNotFound(id);
+  }
+
+  // iOS first, then whichever platform the app is released on
+  const platforms = resource.attributes.platformAttributes;
+  const platform = ['ios'].concat(Object.keys(platforms))
+    .find((name) => platforms[name] && Array.isArray(platforms[name].versionHistory));
+  if (!platform) {
+    throw schema.schemaError('versionHistory', {
+      path: '$.data[0].attributes.platformAttributes.ios.versionHistory',
+      expected: 'array',
+      actual: 'undefined',
+      context: platforms
+    });
+  }
+  return platforms[platform].versionHistory;
+}
 
-  return new Promise((resolve) => {
-    if (opts.id) {
-      resolve();
-    } else {
-      throw Error('Either id or appId is required');
-    }
-  })
-    .then(() => {
-      const tokenUrl = `https://apps.apple.com/${opts.country}/app/id${opts.id}`;
-      return common.request(tokenUrl, {}, opts.requestOptions);
-    })
-    .then((html) => {
-      const regExp = /token%22%3A%22([^%]+)%22%7D/g;
-      const match = regExp.exec(html);
-      const token = match[1];
+schema.register('versionHistory', parseVersionHistory);
 
-      const url = `https://amp-api-edge.apps.apple.com/v1/catalog/${opts.country}/apps/${opts.id}?platform=web&extend=versionHistory&additionalPlatforms=appletv,ipad,iphone,mac,realityDevice`;
-      return common.request(url, {
-        Origin: 'https://apps.apple.com',
-        Authorization: `Bearer ${token}`
-      }, opts.requestOptions);
-    })
-    .then((json) => {
-      if (json.length === 0) { throw Error('App not found (404)'); }
+async function versionHistory (opts) {
+  opts = fromUrl(opts, 'app');
+  validate.options(opts);
+  validate.appIdentifier(opts);
+  validate.country(opts);
+  opts.country = opts.country || 'US';
 
-      const data = typeof json === 'string' ? JSON.parse(json) : json;
-      return data.data[0].attributes.platformAttributes.ios.versionHistory;
-    });
+  const id = await common.resolveAppId(opts);
+  const document = await amp.catalog({
+    ids: [id],
+    extend: 'versionHistory',
+    additionalPlatforms: ['appletv', 'ipad', 'iphone', 'mac', 'realityDevice']
+  }, opts);
+  return parseVersionHistory(document, id);
 }
 
-module.exports = versionHistory;
\ No newline at end of file
+module.exports = versionHistory;
@@ -27,4 +27,39 @@ function assertValidApp (app) {
   return app;
 }
 
-module.exports = { assertValidUrl, assertValidApp };
+// Transport answering from a map of URL substrings to responses (or functions
+// returning one). Unmatched URLs get a 404. Every request is recorded.
+function fakeTransport (routes) {
+  const requests = [];
+  const transport = (config) => {
+    requests.push(config);
+    const pattern = Object.keys(routes).find((key) => config.url.includes(key));
+    if (!pattern) {
+      return Promise.resolve({ status: 404, statusText: 'Not Found', headers: {}, data: '' });
+    }
+    const route = routes[pattern];
+    return Promise.resolve(typeof route === 'function' ? route(config) : route)
+      .then((response) => Object.assign({ status: 200, headers: {} }, response));
+  };
+  transport.requests = requests;
+  return transport;
+}
+
+// Minimal iTunes lookup entry
+function lookupEntry (id, fields) {
+  return Object.assign({
+    trackId: id,
+    bundleId: `com.example.app${id}`,
+    trackName: `App ${id}`,
+    trackViewUrl: `https://apps.apple.com/us/app/app/id${id}`,
+    description: 'An app',
+    artworkUrl512: `https://is1-ssl.mzstatic.com/image/thumb/Purple/v4/aa/bb/cc/icon${id}/AppIcon.png/512x512bb.jpg`,
+    price: 0,
+    currency: 'USD',
+    screenshotUrls: ['https://is1-ssl.mzstatic.com/image/thumb/a.png/392x696bb.jpg'],
+    ipadScreenshotUrls: ['https://is1-ssl.mzstatic.com/image/thumb/b.png/576x768bb.jpg'],
+    appletvScreenshotUrls: ['https://is1-ssl.mzstatic.com/image/thumb/c.png/800x500bb.jpg']
+  }, fields);
+}
+
+module.exports = { assertValidUrl, assertValidApp, fakeTransport, lookupEntry };
@@ -0,0 +1,21 @@
+'use strict';
+
+// Loaded before the suite (see the test script). FIXTURES=record saves every
+// App Store exchange to test/fixtures, FIXTURES=replay serves them back so the
+// suite runs without network.
+const path = require('path');
+const fixtures = require('../lib/fixtures');
+const { breaker, DEFAULT_OPTIONS } = require('../lib/breaker');
+
+const mode = process.env.FIXTURES;
+if (mode) {
+  fixtures.use(mode, process.env.FIXTURES_DIR || path.join(__dirname, 'fixtures'));
+}
+
+// Circuits left open by one test file must not fail the requests of the next
+exports.mochaHooks = {
+  beforeEach () {
+    breaker.reset();
+    breaker.configure(DEFAULT_OPTIONS);
+  }
+};
@@ -0,0 +1,160 @@
+'use strict';
+
+const assert = require('chai').assert;
+const store = require('../index');
+const { Scheduler } = require('../lib/scheduler');
+const { fakeTransport, lookupEntry } = require('./common');
+
+const { AbortError, ValidationError } = store.errors;
+
+// Never answers, rejects like axios once the request signal fires
+function hangingTransport () {
+  const requests = [];
+  const transport = (config) => new Promise((resolve, reject) => {
+    requests.push(config);
+    config.signal.addEventListener('abort', () => {
+      reject(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' }));
+    });
+  });
+  transport.requests = requests;
+  return transport;
+}
+
+describe('Abort and timeout', () => {
+  it('should reject with a timeout AbortError and cancel the request', () => {
+    const transport = hangingTransport();
+
+    return store.app({ id: 1, transport, timeout: 30 })
+      .then(assert.fail, (err) => {
+        assert.instanceOf(err, AbortError);
+        assert.equal(err.code, 'TIMEOUT');
+        assert.equal(err.reason, 'timeout');
+        assert.lengthOf(transport.requests, 1);
+        assert.isTrue(transport.requests[0].signal.aborted);
+      });
+  });
+
+  it('should reject right away when the signal is already aborted', () => {
+    const transport = fakeTransport({});
+    const controller = new AbortController();
+    controller.abort();
+
+    return store.search({ term: 'x', transport, signal: controller.signal })
+      .then(assert.fail, (err) => {
+        assert.instanceOf(err, AbortError);
+        assert.equal(err.code, 'ABORTED');
+        assert.lengthOf(transport.requests, 0);
+      });
+  });
+
+  it('should stop multi-step flows between requests', () => {
+    const controller = new AbortController();
+    const transport = fakeTransport({
+      'apps.apple.com/us/app': () => {
+        controller.abort();
+        return { data: 'token%22%3A%22abc%22%7D' };
+      },
+      'amp-api-edge': { data: { data: [{ attributes: { privacyDetails: {} } }] } }
+    });
+
+    return store.privacy({ id: 1, country: 'us', transport, signal: controller.signal })
+      .then(assert.fail, (err) => {
+        assert.instanceOf(err, AbortError);
+        assert.lengthOf(transport.requests, 1);
+      });
+  });
+
+  it('should abort the screenshot fallback instead of ignoring the failure', () => {
+    const controller = new AbortController();
+    const transport = fakeTransport({
+      'itunes.apple.com/lookup': { data: { resultCount: 1, results: [lookupEntry(1, { ipadScreenshotUrls: [] })] } },
+      'apps.apple.com': () => {
+        controller.abort();
+        return { data: '<html></html>' };
+      }
+    });
+
+    return store.app({ id: 1, transport, signal: controller.signal })
+      .then(assert.fail, (err) => assert.instanceOf(err, AbortError));
+  });
+
+  it('should not cancel a coalesced request still awaited by another caller', () => {
+    let release;
+    const transport = fakeTransport({
+      'itunes.apple.com/lookup': () => new Promise((resolve) => { release = resolve; })
+        .then(() => ({ data: { resultCount: 1, results: [lookupEntry(1)] } }))
+    });
+    const controller = new AbortController();
+
+    const aborted = store.app({ id: 1, transport, signal: controller.signal });
+    const kept = store.app({ id: 1, transport });
+    controller.abort();
+    setTimeout(() => release(), 10);
+
+    return Promise.all([
+      aborted.then(assert.fail, (err) => assert.instanceOf(err, AbortError)),
+      kept.then((app) => assert.equal(app.id, 1))
+    ])
+      .then(() => {
+        assert.lengthOf(transport.requests, 1);
+        assert.isFalse(transport.requests[0].signal.aborted);
+      });
+  });
+
+  it('should cut the wait between retries short', () => {
+    const transport = fakeTransport({ 'itunes.apple.com/lookup': { status: 503 } });
+    const started = Date.now();
+
+    return store.app({ id: 1, transport, retry: { baseDelay: 5000, jitter: 0 }, timeout: 50 })
+      .then(assert.fail, (err) => {
+        assert.equal(err.code, 'TIMEOUT');
+        assert.isBelow(Date.now() - started, 1000);
+        assert.lengthOf(transport.requests, 1);
+      });
+  });
+
+  it('should drop queued requests from the scheduler', () => {
+    const scheduler = new Scheduler({ concurrency: 1 });
+    const controller = new AbortController();
+    let ran = false;
+
+    const blocker = scheduler.schedule('https://example.com/a', () => new Promise((resolve) => setTimeout(resolve, 20)));
+    const queued = scheduler.schedule('https://example.com/b', () => { ran = true; }, { signal: controller.signal });
+    controller.abort();
+
+    return queued.then(assert.fail, (err) => {
+      assert.instanceOf(err, AbortError);
+      assert.equal(scheduler.stats().queued, 0);
+      return blocker;
+    })
+      .then(() => assert.isFalse(ran));
+  });
+
+  it('should validate the timeout option', () => {
+    return store.app({ id: 1, timeout: -1 })
+      .then(assert.fail, (err) => {
+        assert.instanceOf(err, ValidationError);
+        assert.equal(err.field, 'timeout');
+      });
+  });
+
+  it('should honor signals with cached methods', () => {
+    const transport = fakeTransport({
+      'itunes.apple.com/lookup': () => new Promise((resolve) => setTimeout(resolve, 20))
+        .then(() => ({ data: { resultCount: 1, results: [lookupEntry(1)] } }))
+    });
+    const cached = store.memoized();
+    const controller = new AbortController();
+
+    const aborted = cached.app({ id: 1, transport, signal: controller.signal });
+    controller.abort();
+
+    return aborted.then(assert.fail, (err) => assert.instanceOf(err, AbortError))
+      // the shared computation carries on and fills the cache for other callers
+      .then(() => cached.app({ id: 1, transport }))
+      .then((app) => {
+        assert.equal(app.id, 1);
+        assert.lengthOf(transport.requests, 1);
+      });
+  });
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const assert = require('chai').assert;
+const http = require('http');
+const axios = require('axios');
+const store = require('../index');
+const common = require('../lib/common');
+const transports = require('../lib/transport');
+
+const REQUESTS = 300;
+const HANDSHAKE = 20;
+
+describe('Keep-alive agents', function () {
+  let server;
+  let base;
+  let connections = 0;
+  let saved;
+
+  before((done) => {
+    // the requests go to a local server, never through the fixtures
+    saved = transports.getDefault();
+    transports.setDefault(null);
+    // the first request of a connection is held for a while, like the TLS
+    // handshake with the App Store hosts would
+    server = http.createServer((req, res) => {
+      const delay = req.socket.handshaken ? 0 : HANDSHAKE;
+      req.socket.handshaken = true;
+      setTimeout(() => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end('{"ok":true}');
+      }, delay);
+    });
+    server.on('connection', () => connections++);
+    server.listen(0, '127.0.0.1', () => {
+      base = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after((done) => {
+    transports.setDefault(saved);
+    store.agents.destroy();
+    server.closeAllConnections();
+    server.close(done);
+  });
+
+  // Runs the requests through the scheduler like any method would, and counts
+  // the connections the server accepted meanwhile
+  function run (options) {
+    connections = 0;
+    const started = process.hrtime.bigint();
+    const requests = [];
+    for (let i = 0; i < REQUESTS; i++) {
+      requests.push(common.request(`${base}/lookup/${i}`, {}, {}, options));
+    }
+    return Promise.all(requests).then(() => ({
+      connections,
+      perSecond: Math.round(REQUESTS / (Number(process.hrtime.bigint() - started) / 1e9))
+    }));
+  }
+
+  it('should reuse connections instead of opening one per request', function () {
+    const test = this.test;
+    const fresh = axios.create({ httpAgent: new http.Agent({ keepAlive: false }) });
+    let pooled;
+
+    return run({})
+      .then((result) => {
+        pooled = result;
+        return run({ transport: fresh });
+      })
+      .then((unpooled) => {
+        // the throughput depends on the machine, so it is reported in the test
+        // title and only asserted loosely
+        test.title += ` (keep-alive: ${pooled.perSecond} req/s over ${pooled.connections} connections, ` +
+          `without: ${unpooled.perSecond} req/s over ${unpooled.connections})`;
+        assert.isAbove(pooled.perSecond, unpooled.perSecond);
+        assert.isBelow(pooled.connections, REQUESTS);
+        assert.isAtMost(pooled.connections, store.agents.stats().options.maxSockets);
+        assert.equal(unpooled.connections, REQUESTS);
+      });
+  });
+
+  it('should apply the configured socket limits', () => {
+    store.agents.configure({ maxSockets: 2 });
+
+    return run({})
+      .then((result) => {
+        assert.isAtMost(result.connections, 2);
+        assert.equal(store.agents.stats().options.maxSockets, 2);
+        const idle = store.agents.stats().idle;
+        assert.isAtMost(Object.keys(idle).reduce((total, host) => total + idle[host], 0), 2);
+      })
+      .finally(() => store.agents.configure({ maxSockets: 10 }));
+  });
+
+  it('should validate the options', () => {
+    assert.throws(() => store.agents.configure({ maxSockets: 0 }), TypeError);
+  });
+});
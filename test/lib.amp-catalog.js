@@ -0,0 +1,99 @@
+'use strict';
+
+const assert = require('chai').assert;
+const store = require('../index');
+const { fakeTransport } = require('./common');
+
+const page = { data: '<meta content="%7B%22token%22%3A%22abc.def.ghi%22%7D">' };
+
+const document = {
+  data: [{
+    id: '1',
+    type: 'apps',
+    attributes: { name: 'App 1' },
+    relationships: {
+      developer: { data: [{ id: '10', type: 'developers' }] },
+      'top-in-apps': { data: [{ id: '100', type: 'in-apps' }, { id: '101', type: 'in-apps' }] }
+    }
+  }],
+  included: [
+    { id: '10', type: 'developers', attributes: { name: 'Dev' }, relationships: { apps: { data: [{ id: '1', type: 'apps' }] } } },
+    { id: '100', type: 'in-apps', attributes: { name: 'Coins' } }
+  ]
+};
+
+function catalogTransport (response) {
+  return fakeTransport({
+    'https://apps.apple.com/': page,
+    'amp-api-edge.apps.apple.com': response || { data: JSON.parse(JSON.stringify(document)) }
+  });
+}
+
+const catalogRequest = (transport) => transport.requests.find((request) => request.url.includes('amp-api-edge'));
+
+describe('ampCatalog method', () => {
+  it('should build the catalog query', () => {
+    const transport = catalogTransport();
+
+    return store.ampCatalog({
+      ids: [1],
+      country: 'gb',
+      lang: 'en-GB',
+      fields: ['name', 'artwork'],
+      extend: { apps: ['description'] },
+      include: 'developer',
+      transport
+    })
+      .then(() => {
+        const url = new URL(catalogRequest(transport).url);
+        assert.equal(url.pathname, '/v1/catalog/gb/apps/1');
+        assert.equal(url.searchParams.get('platform'), 'web');
+        assert.equal(url.searchParams.get('fields'), 'name,artwork');
+        assert.equal(url.searchParams.get('extend[apps]'), 'description');
+        assert.equal(url.searchParams.get('include'), 'developer');
+        assert.equal(url.searchParams.get('l'), 'en-GB');
+        assert.include(catalogRequest(transport).headers.Authorization, 'Bearer abc.def.ghi');
+      });
+  });
+
+  it('should fetch several resources of any type at once', () => {
+    const transport = catalogTransport();
+
+    return store.ampCatalog({ type: 'in-apps', ids: ['100', '101'], platform: 'iphone', transport })
+      .then(() => {
+        const url = new URL(catalogRequest(transport).url);
+        assert.equal(url.pathname, '/v1/catalog/us/in-apps');
+        assert.equal(url.searchParams.get('ids'), '100,101');
+        assert.equal(url.searchParams.get('platform'), 'iphone');
+      });
+  });
+
+  it('should resolve relationships without creating cycles', () => {
+    return store.ampCatalog({ id: 1, transport: catalogTransport() })
+      .then((doc) => {
+        const app = doc.data[0];
+        assert.equal(app.attributes.name, 'App 1');
+        assert.equal(app.relationships.developer.resolved[0].attributes.name, 'Dev');
+        assert.notProperty(app.relationships.developer.resolved[0], 'relationships');
+        assert.equal(app.relationships['top-in-apps'].resolved[0].attributes.name, 'Coins');
+        assert.isNull(app.relationships['top-in-apps'].resolved[1]);
+        assert.equal(doc.included[0].relationships.apps.resolved[0].id, '1');
+        assert.doesNotThrow(() => JSON.stringify(doc));
+      });
+  });
+
+  it('should map a missing app to a NotFoundError', () => {
+    return store.ampCatalog({ id: 1, transport: catalogTransport({ status: 404 }) })
+      .then(assert.fail, (err) => {
+        assert.instanceOf(err, store.errors.NotFoundError);
+        assert.equal(err.resourceId, '1');
+      });
+  });
+
+  it('should validate its options', () => {
+    return Promise.all([
+      store.ampCatalog({}).then(assert.fail, (err) => assert.equal(err.field, 'ids')),
+      store.ampCatalog({ id: 1, type: 'Apps!' }).then(assert.fail, (err) => assert.equal(err.field, 'type'))
+    ]);
+  });
+});
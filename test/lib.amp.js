@@ -0,0 +1,118 @@
+'use strict';
+
+const assert = require('chai').assert;
+const store = require('../index');
+const amp = require('../lib/amp');
+const { fakeTransport } = require('./common');
+
+function jwt (claims) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  return `${encode({ alg: 'ES256' })}.${encode(claims)}.signature`;
+}
+
+const inOneHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+const catalogResponse = {
+  data: [{
+    attributes: {
+      privacyDetails: { privacyTypes: [] },
+      platformAttributes: { ios: { versionHistory: [{ versionDisplay: '1.0' }] } }
+    }
+  }]
+};
+
+function ampTransport (token, catalog) {
+  return fakeTransport({
+    'apps.apple.com/us/app': () => ({ data: `<meta content="%7B%22token%22%3A%22${token()}%22%7D">` }),
+    'amp-api-edge.apps.apple.com': catalog || { data: catalogResponse }
+  });
+}
+
+const pages = (transport) => transport.requests.filter((request) => request.url.startsWith('https://apps.apple.com'));
+
+describe('amp-api token', () => {
+  it('should decode the JWT expiry', () => {
+    const exp = inOneHour();
+    assert.equal(amp.decodeExpiry(jwt({ exp })), exp * 1000);
+    assert.isNull(amp.decodeExpiry('not-a-jwt'));
+  });
+
+  it('should fetch the token once for privacy and versionHistory', () => {
+    const token = jwt({ exp: inOneHour() });
+    const transport = ampTransport(() => token);
+
+    return Promise.all([
+      store.privacy({ id: 1, country: 'us', transport }),
+      store.versionHistory({ id: 1, country: 'us', transport })
+    ])
+      .then(() => store.privacy({ id: 2, country: 'us', transport }))
+      .then(() => {
+        assert.lengthOf(pages(transport), 1);
+        const catalog = transport.requests.filter((request) => request.url.includes('amp-api-edge'));
+        assert.lengthOf(catalog, 3);
+        catalog.forEach((request) => assert.equal(request.headers.Authorization, `Bearer ${token}`));
+      });
+  });
+
+  it('should refresh the token shortly before it expires', () => {
+    const transport = ampTransport(() => jwt({ exp: Math.floor(Date.now() / 1000) + 30 }));
+
+    return store.privacy({ id: 1, country: 'us', transport })
+      .then(() => store.privacy({ id: 1, country: 'us', transport }))
+      .then(() => assert.lengthOf(pages(transport), 2));
+  });
+
+  it('should refresh the token when it is rejected', () => {
+    let issued = 0;
+    const tokens = [];
+    const transport = ampTransport(() => jwt({ exp: inOneHour(), n: ++issued }), (request) => {
+      tokens.push(request.headers.Authorization);
+      return tokens.length === 1 ? { status: 401 } : { data: catalogResponse };
+    });
+
+    return store.privacy({ id: 1, country: 'us', transport })
+      .then((privacy) => {
+        assert.deepEqual(privacy, { privacyTypes: [] });
+        assert.lengthOf(pages(transport), 2);
+        assert.lengthOf(tokens, 2);
+        assert.notEqual(tokens[0], tokens[1]);
+      });
+  });
+
+  it('should throw a ParseError when the page has no token', () => {
+    const transport = fakeTransport({ 'apps.apple.com/us/app': { data: '<html>no token here</html>' } });
+
+    return store.versionHistory({ id: 1, country: 'us', transport })
+      .then(assert.fail, (err) => {
+        assert.instanceOf(err, store.errors.ParseError);
+        assert.equal(err.code, 'PARSE_ERROR');
+        assert.include(err.message, 'amp-api token');
+        assert.equal(err.details.url, 'https://apps.apple.com/us/app/id1');
+      });
+  });
+
+  it('should throw a ParseError when the catalog answers with no JSON', () => {
+    const token = jwt({ exp: inOneHour() });
+    const transport = ampTransport(() => token, { data: '<html>Please verify you are a human</html>' });
+    const calls = {
+      privacy: () => store.privacy({ id: 1, country: 'us', transport }),
+      versionHistory: () => store.versionHistory({ id: 1, country: 'us', transport }),
+      inAppPurchases: () => store.inAppPurchases({ id: 1, country: 'us', transport }),
+      ampCatalog: () => store.ampCatalog({ ids: [1], country: 'us', transport })
+    };
+
+    return Promise.all(Object.keys(calls).map((method) => calls[method]()
+      .then(assert.fail, (err) => {
+        assert.instanceOf(err, store.errors.ParseError, method);
+        assert.equal(err.details.endpoint, 'ampCatalog');
+        assert.equal(err.details.path, '$');
+        assert.include(err.details.sample, 'verify you are a human');
+      })));
+  });
+
+  it('should read the token from plain JSON configurations', () => {
+    const token = jwt({ exp: inOneHour() });
+    assert.equal(amp.extractToken(`{"developerToken":{"token":"${token}"}}`), token);
+  });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+const assert = require('chai').assert;
+const store = require('../index');
+const { DEFAULT_HOSTS } = require('../lib/scheduler');
+const { fakeTransport, lookupEntry } = require('./common');
+
+// The app is sold in the us and gb storefronts, the fr lookup fails
+function storefrontTransport () {
+  return fakeTransport({
+    'itunes.apple.com/lookup': (request) => {
+      const country = new URL(request.url).searchParams.get('country');
+      if (country === 'fr') {
+        return { status: 500, data: '' };
+      }
+      const results = ['us', 'gb'].includes(country)
+        ? [lookupEntry(42, { price: country === 'us' ? 0.99 : 0.89, currency: country === 'us' ? 'USD' : 'GBP', version: '2.0', averageUserRating: 4.5, userRatingCount: 10 })]
+        : [];
+      return { data: { resultCount: results.length, results } };
+    }
+  });
+}
+
+describe('App across countries method', () => {
+  it('should build a matrix of the app per storefront', () => {
+    const transport = storefrontTransport();
+
+    return store.appAcrossCountries({ id: 42, countries: ['us', 'GB', 'cn', 'fr'], transport })
+      .then((result) => {
+        assert.equal(result.id, 42);
+        assert.deepEqual(Object.keys(result.countries), ['us', 'gb', 'cn', 'fr']);
+        assert.deepEqual(result.countries.us, { available: true, price: 0.99, currency: 'USD', version: '2.0', score: 4.5, reviews: 10 });
+        assert.equal(result.countries.gb.currency, 'GBP');
+        assert.deepEqual(result.countries.cn, { available: false, price: null, currency: null, version: null, score: null, reviews: null });
+        assert.isNull(result.countries.fr.available);
+        assert.equal(result.countries.fr.error.code, 'NETWORK_ERROR_500');
+        assert.deepEqual(result.unavailable, ['cn']);
+        assert.deepEqual(result.failed, ['fr']);
+      });
+  });
+
+  describe('across every market', () => {
+    // one lookup per market would take seconds within the itunes.apple.com budget
+    before(() => store.scheduler.configure({ hosts: { 'itunes.apple.com': { maxRequests: 1000 } } }));
+    after(() => store.scheduler.configure({ hosts: { 'itunes.apple.com': DEFAULT_HOSTS['itunes.apple.com'] } }));
+
+    it('should cover every market by default with bounded concurrency', () => {
+      let running = 0;
+      let peak = 0;
+      const transport = fakeTransport({
+        'itunes.apple.com/lookup': () => {
+          running++;
+          peak = Math.max(peak, running);
+          return new Promise((resolve) => setTimeout(() => {
+            running--;
+            resolve({ data: { resultCount: 0, results: [] } });
+          }, 1));
+        }
+      });
+
+      return store.appAcrossCountries({ url: 'https://apps.apple.com/us/app/id42', concurrency: 3, transport })
+        .then((result) => {
+          assert.lengthOf(transport.requests, Object.keys(store.markets).length);
+          assert.lengthOf(result.unavailable, Object.keys(store.markets).length);
+          assert.isNull(result.countries.us.price);
+          assert.isAtMost(peak, 3);
+        });
+    });
+  });
+
+  it('should reject unknown countries', () => {
+    return store.appAcrossCountries({ id: 42, countries: ['us', 'xx'] })
+      .then(() => assert.fail('should not resolve'), (error) => {
+        assert.instanceOf(error, store.errors.ValidationError);
+        assert.equal(error.field, 'countries');
+      });
+  });
+});
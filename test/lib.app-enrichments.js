@@ -0,0 +1,70 @@
+'use strict';
+
+const assert = require('chai').assert;
+const store = require('../index');
+const { fakeTransport, lookupEntry } = require('./common');
+
+const votes = '<div class="vote"><span class="total">2</span></div>'.repeat(5);
+
+function appTransport (routes) {
+  return fakeTransport(Object.assign({
+    'itunes.apple.com/lookup': { data: { resultCount: 1, results: [lookupEntry(1, { screenshotUrls: [] })] } }
+  }, routes));
+}
+
+describe('App enrichments', () => {
+  it('should report the enrichments that failed in warnings', () => {
+    const transport = appTransport({
+      'https://apps.apple.com/': { status: 503, data: '' },
+      'customer-reviews': { status: 500, data: '' }
+    });
+
+    return store.app({ id: 1, ratings: true, warnings: true, transport })
+      .then((app) => {
+        assert.equal(app.id, 1);
+        assert.isUndefined(app.histogram);
+        assert.deepEqual(app.warnings.map((warning) => [warning.enrichment, warning.code]), [
+          ['screenshots', 'SERVICE_UNAVAILABLE'],
+          ['ratings', 'NETWORK_ERROR_500']
+        ]);
+        assert.isString(app.warnings[0].message);
+      });
+  });
+
+  it('should return an empty list when every enrichment succeeded', () => {
+    const transport = appTransport({
+      'https://apps.apple.com/': { data: '<html></html>' },
+      'customer-reviews': { data: `<html><body><span class="rating-count">10 Ratings</span>${votes}</body></html>` }
+    });
+
+    return store.app({ id: 1, ratings: true, warnings: true, transport })
+      .then((app) => {
+        assert.deepEqual(app.warnings, []);
+        assert.equal(app.ratings, 10);
+      });
+  });
+
+  it('should only add warnings when asked to', () => {
+    const transport = appTransport({ 'https://apps.apple.com/': { status: 503, data: '' } });
+
+    return store.app({ id: 1, transport })
+      .then((app) => assert.notProperty(app, 'warnings'));
+  });
+
+  it('should throw the enrichment error in strict mode', () => {
+    const transport = appTransport({
+      'https://apps.apple.com/': { data: '<html></html>' },
+      'customer-reviews': { status: 500, data: '' }
+    });
+
+    return store.app({ id: 1, ratings: true, strict: true, transport })
+      .then(() => assert.fail('should not resolve'), (error) => {
+        assert.instanceOf(error, store.errors.NetworkError);
+        assert.equal(error.code, 'NETWORK_ERROR_500');
+      })
+      .then(() => store.app({ id: 1, strict: true, transport: appTransport({ 'https://apps.apple.com/': { status: 503, data: '' } }) }))
+      .then(() => assert.fail('should not resolve'), (error) => {
+        assert.equal(error.code, 'SERVICE_UNAVAILABLE');
+      });
+  });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const assert = require('chai').assert;
+const store = require('../index');
+const { fakeTransport, lookupEntry } = require('./common');
+
+const MISSING = 999;
+
+function lookupTransport () {
+  return fakeTransport({
+    'itunes.apple.com/lookup': (request) => {
+      const params = new URL(request.url).searchParams;
+      const results = params.has('id')
+        ? params.get('id').split(',').map(Number).filter((id) => id !== MISSING).map((id) => lookupEntry(id))
+        : params.get('bundleId').split(',').filter((bundleId) => bundleId !== 'com.missing').map((bundleId) => lookupEntry(1, { bundleId: bundleId.toLowerCase() }));
+      // the API does not keep the request order
+      return { data: { resultCount: results.length, results: results.reverse() } };
+    }
+  });
+}
+
+describe('Apps method', () => {
+  it('should return the apps in input order with missing ids reported', () => {
+    const transport = lookupTransport();
+
+    return store.apps({ ids: [3, MISSING, 1, '2'], transport })
+      .then((apps) => {
+        assert.lengthOf(apps, 4);
+        assert.equal(apps[0].id, 3);
+        assert.instanceOf(apps[1], store.errors.NotFoundError);
+        assert.equal(apps[1].code, 'NOT_FOUND');
+        assert.equal(apps[1].resourceId, String(MISSING));
+        assert.equal(apps[2].id, 1);
+        assert.equal(apps[3].id, 2);
+        assert.lengthOf(transport.requests, 1);
+      });
+  });
+
+  it('should split large batches into chunks', () => {
+    const transport = lookupTransport();
+    const ids = Array.from({ length: 450 }, (v, i) => i + 1);
+
+    return store.apps({ ids, transport })
+      .then((apps) => {
+        assert.lengthOf(transport.requests, 3);
+        transport.requests.forEach((request) => {
+          assert.isAtMost(new URL(request.url).searchParams.get('id').split(',').length, 200);
+        });
+        assert.deepEqual(apps.map((app) => app.id), ids);
+      });
+  });
+
+  it('should honor a custom chunk size and bounded concurrency', () => {
+    let running = 0;
+    let maxRunning = 0;
+    const inner = lookupTransport();
+    const transport = (request) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      return new Promise((resolve) => setTimeout(resolve, 10))
+        .then(() => inner(request))
+        .finally(() => running--);
+    };
+
+    return store.apps({ ids: [1, 2, 3, 4, 5, 6, 7], chunkSize: 2, concurrency: 2, transport })
+      .then((apps) => {
+        assert.lengthOf(inner.requests, 4);
+        assert.equal(maxRunning, 2);
+        assert.lengthOf(apps, 7);
+      });
+  });
+
+  it('should look up bundle ids case-insensitively', () => {
+    const transport = lookupTransport();
+
+    return store.apps({ appIds: ['com.Example.A', 'com.missing'], transport })
+      .then((apps) => {
+        assert.equal(apps[0].appId, 'com.example.a');
+        assert.instanceOf(apps[1], store.errors.NotFoundError);
+        assert.include(transport.requests[0].url, 'bundleId=');
+      });
+  });
+
+  it('should validate its options', () => {
+    return Promise.all([
+      store.apps({}).then(assert.fail, (err) => assert.instanceOf(err, store.errors.ValidationError)),
+      store.apps({ ids: [] }).then(assert.fail, (err) => assert.equal(err.field, 'ids')),
+      store.apps({ ids: [1], appIds: ['a'] }).then(assert.fail, (err) => assert.instanceOf(err, store.errors.ValidationError))
+    ]);
+  });
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+const assert = require('chai').assert;
+const store = require('../index');
+const { cleanScreenshotUrl, extractScreenshotsFromWeb } = require('../lib/screenshot-fallback');
+const { fakeTransport, lookupEntry } = require('./common');
+
+const base = 'https://is1-ssl.mzstatic.com/image/thumb/Purple/v4/aa/bb/cc/AppIcon.png';
+const icon = `${base}/512x512bb.jpg`;
+const template = 'https://is1-ssl.mzstatic.com/image/thumb/PurpleSource/v4/11/22/33/uuid/ImageGen_1_of_3.png/{w}x{h}{c}.{f}';
+
+describe('Artwork URLs', () => {
+  it('should split mzstatic URLs into their parts', () => {
+    assert.deepEqual(store.artwork.parse(icon), { base, width: 512, height: 512, crop: 'bb', format: 'jpg', template: false });
+    assert.include(store.artwork.parse(`${base}/1200x630wa.png`), { width: 1200, height: 630, crop: 'wa', format: 'png' });
+    assert.include(store.artwork.parse(template), { template: true, width: null });
+    assert.isNull(store.artwork.parse('https://example.com/icon/512x512bb.jpg'));
+    assert.isNull(store.artwork.parse('https://is1-ssl.mzstatic.com/image/thumb/Purple/icon.png'));
+  });
+
+  it('should rebuild URLs at another size, crop and format', () => {
+    assert.equal(store.artwork.build(icon, { width: 1024 }), `${base}/1024x1024bb.jpg`);
+    assert.equal(store.artwork.build(`${base}/392x696bb.jpg`, { width: 784, format: 'webp' }), `${base}/784x1392bb.webp`);
+    assert.equal(store.artwork.build(icon, { width: 300, height: 200, crop: 'sr', format: 'png' }), `${base}/300x200sr.png`);
+    assert.equal(store.artwork.build(template, { width: 600 }), template.replace('{w}x{h}{c}.{f}', '600x600bb.jpg'));
+  });
+
+  it('should reject bad URLs and options', () => {
+    [
+      () => store.artwork.build('https://example.com/a.jpg', { width: 10 }),
+      () => store.artwork.build(icon, { format: 'gif' }),
+      () => store.artwork.build(icon, { width: -1 }),
+      () => store.artwork.build(template)
+    ].forEach((fn) => assert.throws(fn, store.errors.ValidationError));
+  });
+
+  it('should render templated screenshots at the default size', () => {
+    assert.equal(cleanScreenshotUrl(template), template.replace('{w}x{h}{c}.{f}', '392x696bb.jpg'));
+  });
+
+  it('should validate scraped screenshots on the URLs of the page', () => {
+    const shot = (n, name) => `https://is1-ssl.mzstatic.com/image/thumb/PurpleSource/v4/11/22/33/12345678-1234-1234-1234-1234567890${n}/${name}.png/{w}x{h}{c}.{f}`;
+    const html = [1, 2, 3].map((n) => `<img src="${shot(`1${n}`, `ImageGen_${n}_of_3`)}"><img src="${shot(`2${n}`, `iPad_${n}_of_3`)}">`).join('');
+
+    return extractScreenshotsFromWeb(1, 'us', {}, null, () => Promise.resolve(html))
+      .then((result) => {
+        assert.lengthOf(result.screenshots, 3);
+        result.screenshots.forEach((url) => assert.match(url, /\/392x696bb\.jpg$/));
+        // nothing on the page tells these are iPad screenshots, the size they are rendered at does not count
+        assert.isEmpty(result.ipadScreenshots);
+      });
+  });
+
+  it('should return Artwork objects with the artwork option', () => {
+    const transport = fakeTransport({
+      'itunes.apple.com/lookup': { data: { resultCount: 1, results: [lookupEntry(1, { artworkUrl512: icon, ipadScreenshotUrls: [`${base}/576x768bb.jpg`] })] } }
+    });
+    const client = store.createClient({ transport, artwork: true, cache: true });
+
+    return client.app({ id: 1 })
+      .then((app) => {
+        assert.equal(app.icon.at(1024), `${base}/1024x1024bb.jpg`);
+        assert.equal(app.ipadScreenshots[0].at(1152, { format: 'png' }), `${base}/1152x1536bb.png`);
+        assert.equal(JSON.parse(JSON.stringify(app)).icon, icon);
+        return client.app({ id: 1 });
+      })
+      .then((cached) => {
+        assert.equal(cached.icon.width, 512);
+        assert.equal(`${cached.icon}`, icon);
+        return client.app({ id: 1, artwork: false });
+      })
+      .then((app) => {
+        assert.isString(app.icon);
+        assert.lengthOf(transport.requests, 1);
+      });
+  });
+});
@@ -0,0 +1,173 @@
+'use strict';
+
+const assert = require('chai').assert;
+const store = require('../index');
+const { endpointOf, DEFAULT_OPTIONS } = require('../lib/breaker');
+const { fakeTransport } = require('./common');
+
+const { breaker } = store;
+const { CircuitOpenError, NetworkError } = store.errors;
+
+const SEARCH = 'search.itunes.apple.com/WebObjects/MZSearchHints.woa/wa/hints';
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Suggest transport answering with the given statuses in turn, then 200
+function suggestTransport (statuses) {
+  const queue = statuses.slice();
+  return fakeTransport({
+    MZSearchHints: () => {
+      const status = queue.shift();
+      return status ? { status } : { data: '<plist><dict><array></array></dict></plist>' };
+    }
+  });
+}
+
+const fail = (transport) => store.suggest({ term: 'panda', transport })
+  .then(assert.fail, (err) => err);
+
+describe('Circuit breaker', () => {
+  beforeEach(() => {
+    breaker.reset();
+    breaker.configure({ enabled: true, threshold: 2, resetTimeout: 50 });
+  });
+
+  after(() => {
+    breaker.reset();
+    breaker.configure(DEFAULT_OPTIONS);
+  });
+
+  it('should group URLs by endpoint', () => {
+    assert.equal(
+      endpointOf('https://itunes.apple.com/us/rss/customerreviews/page=2/id=553834731/sortby=mostrecent/json'),
+      'itunes.apple.com/:country/rss/customerreviews/*/*/*/json'
+    );
+    assert.equal(endpointOf('https://apps.apple.com/fr/app/id553834731'), 'apps.apple.com/:country/app/*');
+    assert.equal(endpointOf('https://itunes.apple.com/lookup?id=1&country=us'), 'itunes.apple.com/lookup');
+  });
+
+  it('should open after consecutive failures and fail fast', () => {
+    const transport = suggestTransport([500, 502]);
+
+    return fail(transport)
+      .then((err) => {
+        assert.instanceOf(err, NetworkError);
+        assert.equal(breaker.state(SEARCH, transport).state, 'closed');
+        assert.equal(breaker.state(SEARCH, transport).failures, 1);
+        return fail(transport);
+      })
+      .then(() => fail(transport))
+      .then((err) => {
+        assert.instanceOf(err, CircuitOpenError);
+        assert.equal(err.code, 'CIRCUIT_OPEN');
+        assert.equal(err.endpoint, SEARCH);
+        assert.lengthOf(transport.requests, 2);
+        assert.equal(breaker.stats(transport)[SEARCH].state, 'open');
+      });
+  });
+
+  it('should not count client errors and reset on success', () => {
+    const transport = suggestTransport([500, 404, 500]);
+
+    return fail(transport)
+      .then(() => fail(transport))
+      .then(() => fail(transport))
+      .then(() => {
+        assert.equal(breaker.state(SEARCH, transport).state, 'closed');
+        assert.equal(breaker.state(SEARCH, transport).failures, 1);
+        return store.suggest({ term: 'panda', transport });
+      })
+      .then(() => assert.equal(breaker.state(SEARCH, transport).failures, 0));
+  });
+
+  it('should let a single probe through once half-open', () => {
+    const failing = suggestTransport([500, 500]);
+    // holds the requests while `held` is pending, on the same circuits
+    let held = null;
+    const transport = (request) => held ? held.then(() => failing(request)) : failing(request);
+    let release;
+
+    return fail(transport)
+      .then(() => fail(transport))
+      .then(() => delay(60))
+      .then(() => {
+        assert.equal(breaker.state(SEARCH, transport).state, 'half-open');
+        held = new Promise((resolve) => { release = resolve; });
+        const probe = store.suggest({ term: 'panda', transport });
+        // not coalesced with the probe, so it meets the half-open circuit
+        return store.suggest({ term: 'panda', transport, coalesce: false })
+          .then(assert.fail, (err) => {
+            assert.instanceOf(err, CircuitOpenError);
+            release();
+            return probe;
+          });
+      })
+      .then(() => assert.equal(breaker.state(SEARCH, transport).state, 'closed'));
+  });
+
+  it('should open again when the probe fails', () => {
+    const transport = suggestTransport([500, 500, 503]);
+
+    return fail(transport)
+      .then(() => fail(transport))
+      .then(() => delay(60))
+      .then(() => fail(transport))
+      .then((err) => {
+        assert.equal(err.code, 'SERVICE_UNAVAILABLE');
+        assert.equal(breaker.state(SEARCH, transport).state, 'open');
+        assert.lengthOf(transport.requests, 3);
+      });
+  });
+
+  it('should be bypassed with circuitBreaker: false', () => {
+    const transport = suggestTransport([500, 500]);
+
+    return fail(transport)
+      .then(() => fail(transport))
+      .then(() => store.suggest({ term: 'panda', transport, circuitBreaker: false }))
+      .then(() => assert.lengthOf(transport.requests, 3));
+  });
+
+  it('should be off until enabled', () => {
+    breaker.configure({ enabled: false });
+    const transport = suggestTransport([500, 500, 500]);
+
+    return fail(transport)
+      .then(() => fail(transport))
+      .then(() => fail(transport))
+      .then((err) => {
+        assert.equal(err.statusCode, 500);
+        assert.deepEqual(breaker.stats(transport), {});
+      });
+  });
+
+  it('should keep the circuits of each transport apart', () => {
+    const failing = suggestTransport([500, 500]);
+    const healthy = suggestTransport([]);
+
+    return fail(failing)
+      .then(() => fail(failing))
+      .then(() => {
+        assert.equal(breaker.state(SEARCH, failing).state, 'open');
+        assert.equal(breaker.state(SEARCH, healthy).state, 'closed');
+        return store.suggest({ term: 'panda', transport: healthy });
+      })
+      .then(() => assert.lengthOf(healthy.requests, 1));
+  });
+
+  it('should give clients opting in a breaker of their own', () => {
+    breaker.configure({ enabled: false });
+    const transport = suggestTransport([500, 500, 500]);
+    const client = store.createClient({ transport, circuitBreaker: true });
+    client.breaker.configure({ threshold: 2 });
+
+    return client.suggest({ term: 'panda' }).then(assert.fail, () => client.suggest({ term: 'panda' }))
+      .then(assert.fail, () => client.suggest({ term: 'panda' }))
+      .then(assert.fail, (err) => {
+        assert.instanceOf(err, CircuitOpenError);
+        assert.equal(client.breaker.state(SEARCH, transport).state, 'open');
+        assert.deepEqual(breaker.stats(transport), {});
+        return fail(transport);
+      })
+      .then((err) => assert.equal(err.statusCode, 500));
+  });
+});
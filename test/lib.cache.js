@@ -0,0 +1,192 @@
+'use strict';
+
+const assert = require('chai').assert;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const store = require('../index');
+const { cacheMethods, cacheKey, MemoryStore, FileStore } = require('../lib/cache');
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function counter () {
+  let calls = 0;
+  const fn = (opts) => Promise.resolve({ id: opts.id, call: ++calls });
+  fn.calls = () => calls;
+  return fn;
+}
+
+describe('Cache', () => {
+  it('should build keys independent of the option order', () => {
+    assert.equal(
+      cacheKey('app', { id: 1, country: 'us', requestOptions: { timeout: 1, method: 'GET' } }),
+      cacheKey('app', { requestOptions: { method: 'GET', timeout: 1 }, country: 'us', id: 1 })
+    );
+    assert.notEqual(cacheKey('app', { id: 1 }), cacheKey('ratings', { id: 1 }));
+    assert.equal(cacheKey('app', { id: 1 }), cacheKey('app', { id: 1, throttle: 5, transport: () => {} }));
+  });
+
+  it('should serve cached results until they expire', () => {
+    const fn = counter();
+    const cached = cacheMethods({ app: fn }, { ttl: 50 });
+
+    return cached.app({ id: 1 })
+      .then(() => cached.app({ id: 1 }))
+      .then((result) => {
+        assert.equal(result.call, 1);
+        return delay(60);
+      })
+      .then(() => cached.app({ id: 1 }))
+      .then((result) => assert.equal(result.call, 2));
+  });
+
+  it('should apply per-method TTLs', () => {
+    const list = counter();
+    const privacy = counter();
+    const cached = cacheMethods({ list, privacy }, { ttl: { default: 1000, list: 20 } });
+
+    return Promise.all([cached.list({ id: 1 }), cached.privacy({ id: 1 })])
+      .then(() => delay(30))
+      .then(() => Promise.all([cached.list({ id: 1 }), cached.privacy({ id: 1 })]))
+      .then(() => {
+        assert.equal(list.calls(), 2);
+        assert.equal(privacy.calls(), 1);
+      });
+  });
+
+  it('should serve stale results while revalidating', () => {
+    const fn = counter();
+    const cached = cacheMethods({ app: fn }, { ttl: 20, staleWhileRevalidate: 1000 });
+
+    return cached.app({ id: 1 })
+      .then(() => delay(30))
+      .then(() => cached.app({ id: 1 }))
+      .then((stale) => {
+        assert.equal(stale.call, 1);
+        return delay(10);
+      })
+      .then(() => cached.app({ id: 1 }))
+      .then((fresh) => {
+        assert.equal(fresh.call, 2);
+        assert.equal(fn.calls(), 2);
+      });
+  });
+
+  it('should not cache failures', () => {
+    let calls = 0;
+    const fn = () => ++calls === 1 ? Promise.reject(new Error('boom')) : Promise.resolve('ok');
+    const cached = cacheMethods({ app: fn });
+
+    return cached.app({ id: 1 })
+      .then(assert.fail, (err) => assert.equal(err.message, 'boom'))
+      .then(() => cached.app({ id: 1 }))
+      .then((result) => assert.equal(result, 'ok'));
+  });
+
+  it('should invalidate explicitly', () => {
+    const fn = counter();
+    const cached = cacheMethods({ app: fn });
+
+    return Promise.all([cached.app({ id: 1 }), cached.app({ id: 2 })])
+      .then(() => cached.invalidate('app', { id: 1 }))
+      .then(() => Promise.all([cached.app({ id: 1 }), cached.app({ id: 2 })]))
+      .then(() => assert.equal(fn.calls(), 3))
+      .then(() => cached.invalidate('app'))
+      .then(() => Promise.all([cached.app({ id: 1 }), cached.app({ id: 2 })]))
+      .then(() => assert.equal(fn.calls(), 5));
+  });
+
+  it('should evict the least recently used entries', () => {
+    const lru = new MemoryStore({ max: 2 });
+    return lru.set('a', 1)
+      .then(() => lru.set('b', 2))
+      .then(() => lru.get('a'))
+      .then(() => lru.set('c', 3))
+      .then(() => Promise.all([lru.get('a'), lru.get('b'), lru.get('c')]))
+      .then((values) => assert.deepEqual(values, [1, undefined, 3]));
+  });
+
+  describe('with the file-system store', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'app-store-cache-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should share results across cache instances', () => {
+      const fn = counter();
+      const first = cacheMethods({ app: fn }, { store: new FileStore({ dir }) });
+      const second = cacheMethods({ app: fn }, { store: new FileStore({ dir }) });
+
+      return first.app({ id: 1 })
+        .then(() => second.app({ id: 1 }))
+        .then((result) => {
+          assert.equal(result.call, 1);
+          assert.equal(fn.calls(), 1);
+        });
+    });
+
+    it('should keep the class of errors in results', () => {
+      const fn = () => Promise.resolve([{ id: 1 }, store.errors.ErrorHelpers.appNotFound(2)]);
+      const first = cacheMethods({ apps: fn }, { store: new FileStore({ dir }) });
+      const second = cacheMethods({ apps: fn }, { store: new FileStore({ dir }) });
+
+      return first.apps({ ids: [1, 2] })
+        .then(() => second.apps({ ids: [1, 2] }))
+        .then(([app, missing]) => {
+          assert.deepEqual(app, { id: 1 });
+          assert.instanceOf(missing, store.errors.NotFoundError);
+          assert.equal(missing.code, 'NOT_FOUND');
+          assert.equal(missing.resourceId, 2);
+          assert.include(missing.message, "'2' was not found");
+        });
+    });
+
+    it('should delete expired entries', () => {
+      const files = new FileStore({ dir });
+      const now = Date.now();
+      const entry = (staleUntil) => ({ value: 1, storedAt: now, expiresAt: staleUntil, staleUntil });
+
+      return Promise.all([files.set('read', entry(now - 1)), files.set('unread', entry(now - 1)), files.set('fresh', entry(now + 60000))])
+        .then(() => files.get('read'))
+        .then((value) => {
+          assert.isUndefined(value);
+          assert.lengthOf(fs.readdirSync(dir), 2);
+          return files.prune();
+        })
+        .then((removed) => {
+          assert.equal(removed, 1);
+          assert.lengthOf(fs.readdirSync(dir), 1);
+          return files.get('fresh');
+        })
+        .then((value) => assert.equal(value.value, 1));
+    });
+
+    it('should clear entries by method', () => {
+      const files = new FileStore({ dir });
+      const cached = cacheMethods({ app: counter(), ratings: counter() }, { store: files });
+
+      return Promise.all([cached.app({ id: 1 }), cached.ratings({ id: 1 })])
+        .then(() => cached.invalidate('app'))
+        .then(() => Promise.all([files.get(cacheKey('app', { id: 1 })), files.get(cacheKey('ratings', { id: 1 }))]))
+        .then(([app, ratings]) => {
+          assert.isUndefined(app);
+          assert.equal(ratings.value.call, 1);
+        })
+        .then(() => cached.clear())
+        .then(() => assert.lengthOf(fs.readdirSync(dir), 0));
+    });
+  });
+
+  it('should be used by memoized()', () => {
+    const memoized = store.memoized({ ttl: { default: 1000, privacy: 1000 * 60 * 60 } });
+    assert.isFunction(memoized.app);
+    assert.isFunction(memoized.invalidate);
+    assert.isFunction(memoized.clear);
+    assert.deepEqual(memoized.collection, store.collection);
+  });
+});
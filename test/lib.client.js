@@ -0,0 +1,105 @@
+'use strict';
+
+const assert = require('chai').assert;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const store = require('../index');
+const { fakeTransport, lookupEntry } = require('./common');
+
+const METHODS = ['app', 'list', 'search', 'developer', 'privacy', 'suggest', 'similar', 'reviews', 'ratings', 'versionHistory'];
+
+function lookupTransport () {
+  return fakeTransport({
+    'itunes.apple.com/lookup': (request) => {
+      const id = Number(new URL(request.url).searchParams.get('id'));
+      return { data: { resultCount: 1, results: [lookupEntry(id)] } };
+    }
+  });
+}
+
+describe('createClient', () => {
+  it('should expose every method and the constants', () => {
+    const client = store.createClient();
+    METHODS.forEach((method) => assert.isFunction(client[method], method));
+    assert.deepEqual(client.collection, store.collection);
+  });
+
+  it('should apply the client defaults to every call', () => {
+    const transport = lookupTransport();
+    const client = store.createClient({ country: 'gb', lang: 'en-gb', transport });
+
+    return client.app({ id: 1 })
+      .then(() => {
+        const url = new URL(transport.requests[0].url);
+        assert.equal(url.searchParams.get('country'), 'gb');
+        assert.equal(url.searchParams.get('lang'), 'en-gb');
+      });
+  });
+
+  it('should let call options override the defaults', () => {
+    const transport = lookupTransport();
+    const client = store.createClient({ country: 'gb', transport });
+
+    return client.app({ id: 1, country: 'fr' })
+      .then(() => assert.include(transport.requests[0].url, 'country=fr'));
+  });
+
+  it('should merge request options and headers', () => {
+    const transport = lookupTransport();
+    const client = store.createClient({ transport, requestOptions: { timeout: 1000, headers: { 'X-Client': 'a' } } });
+
+    return client.app({ id: 1, requestOptions: { headers: { 'X-Call': 'b' } } })
+      .then(() => {
+        const request = transport.requests[0];
+        assert.equal(request.timeout, 1000);
+        assert.equal(request.headers['X-Client'], 'a');
+        assert.equal(request.headers['X-Call'], 'b');
+      });
+  });
+
+  it('should keep independent clients apart', () => {
+    const first = lookupTransport();
+    const second = lookupTransport();
+    const a = store.createClient({ country: 'us', transport: first, cache: true });
+    const b = store.createClient({ country: 'de', transport: second, cache: true });
+
+    return Promise.all([a.app({ id: 1 }), b.app({ id: 1 })])
+      .then(() => Promise.all([a.app({ id: 1 }), b.app({ id: 1 })]))
+      .then(() => {
+        assert.lengthOf(first.requests, 1);
+        assert.lengthOf(second.requests, 1);
+        assert.include(first.requests[0].url, 'country=us');
+        assert.include(second.requests[0].url, 'country=de');
+      });
+  });
+
+  it('should not serve the results of a client with other defaults from a shared store', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'app-store-client-'));
+    const cache = { store: new store.FileStore({ dir }) };
+    const transport = fakeTransport({
+      'itunes.apple.com/lookup': (request) => {
+        const country = new URL(request.url).searchParams.get('country');
+        return { data: { resultCount: 1, results: [lookupEntry(1, { trackName: `App ${country}` })] } };
+      }
+    });
+    const us = store.createClient({ country: 'us', transport, cache });
+    const fr = store.createClient({ country: 'fr', transport, cache });
+
+    return us.app({ id: 1 })
+      .then(() => Promise.all([us.app({ id: 1 }), fr.app({ id: 1 })]))
+      .then(([usApp, frApp]) => {
+        assert.equal(usApp.title, 'App us');
+        assert.equal(frApp.title, 'App fr');
+        assert.lengthOf(transport.requests, 2);
+      })
+      .then(() => fr.invalidate('app', { id: 1 }))
+      .then(() => Promise.all([us.app({ id: 1 }), fr.app({ id: 1 })]))
+      .then(() => assert.lengthOf(transport.requests, 3))
+      .finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  it('should validate the default country', () => {
+    assert.throws(() => store.createClient({ country: 'usa' }), store.errors.ValidationError);
+  });
+});
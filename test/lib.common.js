@@ -0,0 +1,105 @@
+'use strict';
+
+const assert = require('chai').assert;
+const store = require('../index');
+const common = require('../lib/common');
+const { fakeTransport, lookupEntry } = require('./common');
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function slowLookupTransport () {
+  return fakeTransport({
+    'itunes.apple.com/lookup': () => delay(20).then(() => ({ data: { resultCount: 1, results: [lookupEntry(1, { bundleId: 'com.example.one' })] } })),
+    customerreviews: { data: { feed: {} } }
+  });
+}
+
+const lookups = (transport) => transport.requests.filter((request) => request.url.includes('/lookup'));
+
+describe('Common request', () => {
+  describe('coalescing', () => {
+    it('should share identical concurrent requests', () => {
+      const transport = slowLookupTransport();
+
+      return Promise.all([
+        store.app({ appId: 'com.example.one', transport }),
+        store.app({ appId: 'com.example.one', transport }),
+        store.reviews({ appId: 'com.example.one', transport })
+      ])
+        .then(([first, second, reviews]) => {
+          assert.equal(first.id, 1);
+          assert.equal(second.id, 1);
+          assert.deepEqual(reviews, []);
+          assert.lengthOf(lookups(transport), 1);
+        });
+    });
+
+    it('should not share requests once they completed', () => {
+      const transport = slowLookupTransport();
+
+      return store.app({ id: 1, transport })
+        .then(() => store.app({ id: 1, transport }))
+        .then(() => assert.lengthOf(lookups(transport), 2));
+    });
+
+    it('should not share requests between transports', () => {
+      const first = slowLookupTransport();
+      const second = slowLookupTransport();
+
+      return Promise.all([store.app({ id: 1, transport: first }), store.app({ id: 1, transport: second })])
+        .then(() => {
+          assert.lengthOf(lookups(first), 1);
+          assert.lengthOf(lookups(second), 1);
+        });
+    });
+
+    it('should keep requests with different headers or methods apart', () => {
+      const transport = fakeTransport({ 'example.com': () => delay(10).then(() => ({ data: 'ok' })) });
+      const url = 'https://example.com/page';
+
+      return Promise.all([
+        common.request(url, { 'X-Apple-Store-Front': '143441,32' }, {}, { transport }),
+        common.request(url, { 'X-Apple-Store-Front': '143444,32' }, {}, { transport }),
+        common.request(url, {}, { method: 'POST' }, { transport }),
+        common.request(url, {}, { method: 'POST' }, { transport })
+      ])
+        .then(() => assert.lengthOf(transport.requests, 4));
+    });
+
+    it('should keep requests with different request options or hooks apart', () => {
+      const transport = fakeTransport({ 'example.com': () => delay(10).then(() => ({ data: 'ok' })) });
+      const url = 'https://example.com/page';
+      const hooks = { beforeRequest: (request) => request };
+
+      return Promise.all([
+        common.request(url, {}, { headers: { 'Accept-Language': 'fr' } }, { transport }),
+        common.request(url, {}, { headers: { 'Accept-Language': 'de' } }, { transport }),
+        common.request(url, {}, { timeout: 1000 }, { transport }),
+        common.request(url, {}, {}, { transport, requestOptions: { proxy: { host: 'localhost', port: 8080 } } }),
+        common.request(url, {}, {}, { transport, hooks }),
+        common.request(url, {}, {}, { transport, hooks })
+      ])
+        .then(() => assert.lengthOf(transport.requests, 6));
+    });
+
+    it('should be disabled with coalesce: false', () => {
+      const transport = slowLookupTransport();
+
+      return Promise.all([
+        store.app({ id: 1, transport, coalesce: false }),
+        store.app({ id: 1, transport, coalesce: false })
+      ])
+        .then(() => assert.lengthOf(lookups(transport), 2));
+    });
+
+    it('should share failures as well', () => {
+      const transport = fakeTransport({ 'example.com': () => delay(10).then(() => ({ status: 500, statusText: 'Boom' })) });
+
+      return Promise.all([1, 2].map(() => common.request('https://example.com/', {}, {}, { transport }).then(assert.fail, (err) => err)))
+        .then((errors) => {
+          errors.forEach((err) => assert.instanceOf(err, store.errors.NetworkError));
+          assert.lengthOf(transport.requests, 1);
+        });
+    });
+  });
+});
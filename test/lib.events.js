@@ -0,0 +1,170 @@
+'use strict';
+
+const assert = require('chai').assert;
+const store = require('../index');
+const { fakeTransport, lookupEntry } = require('./common');
+
+const lookupResponse = { data: { resultCount: 1, results: [lookupEntry(1)] } };
+
+// Collects the given events until `stop()` is called
+function listen (names) {
+  const seen = [];
+  const listeners = names.map((name) => {
+    const listener = (payload) => seen.push(Object.assign({ event: name }, payload));
+    store.events.on(name, listener);
+    return [name, listener];
+  });
+  seen.stop = () => listeners.forEach(([name, listener]) => store.events.removeListener(name, listener));
+  return seen;
+}
+
+describe('Instrumentation', () => {
+  describe('events', () => {
+    it('should emit request and response events with the method and storefront', () => {
+      const seen = listen(['request', 'response']);
+      const transport = fakeTransport({ 'itunes.apple.com/lookup': lookupResponse });
+
+      return store.app({ id: 1, country: 'FR', transport })
+        .finally(seen.stop)
+        .then(() => {
+          assert.deepEqual(seen.map((e) => e.event), ['request', 'response']);
+          const response = seen[1];
+          assert.equal(response.method, 'app');
+          assert.include(response.url, 'itunes.apple.com/lookup');
+          assert.equal(response.status, 200);
+          assert.equal(response.storefront, 'fr');
+          assert.isNumber(response.duration);
+          assert.equal(response.attempt, 1);
+        });
+    });
+
+    it('should report the public method for nested calls', () => {
+      const seen = listen(['response']);
+      const transport = fakeTransport({
+        'itunes.apple.com/lookup': lookupResponse,
+        customerreviews: { data: { feed: {} } }
+      });
+
+      return store.reviews({ appId: 'com.example.app1', transport })
+        .finally(seen.stop)
+        .then(() => {
+          assert.lengthOf(seen, 2);
+          seen.forEach((event) => assert.equal(event.method, 'reviews'));
+        });
+    });
+
+    it('should emit retry events', () => {
+      const seen = listen(['retry', 'response']);
+      let calls = 0;
+      const transport = fakeTransport({
+        'itunes.apple.com/lookup': () => ++calls === 1 ? { status: 503 } : lookupResponse
+      });
+
+      return store.app({ id: 1, transport, retry: { baseDelay: 1, jitter: 0 } })
+        .finally(seen.stop)
+        .then(() => {
+          assert.deepEqual(seen.map((e) => e.event), ['response', 'retry', 'response']);
+          assert.equal(seen[0].status, 503);
+          assert.equal(seen[1].method, 'app');
+          assert.equal(seen[1].status, 503);
+          assert.equal(seen[1].attempt, 1);
+          assert.equal(seen[2].attempt, 2);
+        });
+    });
+
+    it('should emit cache-hit events', () => {
+      const seen = listen(['cache-hit']);
+      const transport = fakeTransport({ 'itunes.apple.com/lookup': lookupResponse });
+      const cached = store.memoized();
+
+      return cached.app({ id: 1, transport })
+        .then(() => cached.app({ id: 1, transport }))
+        .finally(seen.stop)
+        .then(() => {
+          assert.lengthOf(seen, 1);
+          assert.equal(seen[0].method, 'app');
+          assert.equal(seen[0].storefront, 'us');
+          assert.isFalse(seen[0].stale);
+        });
+    });
+
+    it('should emit parse-error events', () => {
+      const seen = listen(['parse-error']);
+      const transport = fakeTransport({ 'itunes.apple.com/lookup': { data: '<html>not json</html>' } });
+
+      return store.app({ id: 1, transport })
+        .then(assert.fail, (err) => assert.instanceOf(err, store.errors.ParseError))
+        .finally(seen.stop)
+        .then(() => {
+          assert.lengthOf(seen, 1);
+          assert.equal(seen[0].method, 'app');
+          assert.include(seen[0].url, 'itunes.apple.com/lookup');
+          assert.instanceOf(seen[0].error, store.errors.ParseError);
+        });
+    });
+
+    it('should not let a failing listener break the request', () => {
+      const listener = () => { throw new Error('listener bug'); };
+      store.events.on('response', listener);
+      const transport = fakeTransport({ 'itunes.apple.com/lookup': lookupResponse });
+
+      return store.app({ id: 1, transport })
+        .finally(() => store.events.removeListener('response', listener))
+        .then((app) => assert.equal(app.id, 1));
+    });
+  });
+
+  describe('hooks', () => {
+    it('should let beforeRequest change the request', () => {
+      const transport = fakeTransport({ 'itunes.apple.com/lookup': lookupResponse });
+      const hooks = {
+        beforeRequest: (request, info) => {
+          assert.equal(info.method, 'app');
+          request.headers['X-Trace'] = 'abc';
+        }
+      };
+
+      return store.app({ id: 1, transport, hooks })
+        .then(() => assert.equal(transport.requests[0].headers['X-Trace'], 'abc'));
+    });
+
+    it('should let afterResponse replace the response', () => {
+      const transport = fakeTransport({ 'itunes.apple.com/lookup': { status: 500 } });
+      const hooks = {
+        afterResponse: [
+          (response, info) => {
+            assert.equal(info.status, 500);
+            assert.isNumber(info.duration);
+          },
+          () => ({ status: 200, headers: {}, data: lookupResponse.data })
+        ]
+      };
+
+      return store.app({ id: 1, transport, hooks })
+        .then((app) => assert.equal(app.id, 1));
+    });
+
+    it('should call onError with the typed error', () => {
+      const errors = [];
+      const transport = fakeTransport({});
+      const hooks = { onError: (error, info) => errors.push({ error, info }) };
+
+      return store.app({ id: 1, transport, hooks })
+        .then(assert.fail, () => {
+          assert.lengthOf(errors, 1);
+          assert.instanceOf(errors[0].error, store.errors.NetworkError);
+          assert.equal(errors[0].info.status, 404);
+          assert.equal(errors[0].info.method, 'app');
+        });
+    });
+
+    it('should apply client hooks to every call', () => {
+      const urls = [];
+      const transport = fakeTransport({ 'itunes.apple.com/lookup': lookupResponse });
+      const client = store.createClient({ transport, hooks: { beforeRequest: (request) => { urls.push(request.url); } } });
+
+      return client.app({ id: 1 })
+        .then(() => assert.lengthOf(urls, 1));
+    });
+  });
+});
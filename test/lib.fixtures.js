@@ -0,0 +1,92 @@
+'use strict';
+
+const assert = require('chai').assert;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const store = require('../index');
+const { fakeTransport, lookupEntry } = require('./common');
+const { fixtureKey, recorder, replayer } = require('../lib/fixtures');
+
+describe('Fixtures', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'app-store-fixtures-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should normalize the query parameter order and ignore unrelated headers', () => {
+    const a = fixtureKey({ method: 'get', url: 'https://itunes.apple.com/lookup?id=1&country=us', headers: { Authorization: 'Bearer a' } });
+    const b = fixtureKey({ method: 'GET', url: 'https://itunes.apple.com/lookup?country=us&id=1', headers: { Authorization: 'Bearer b' } });
+    const c = fixtureKey({ method: 'GET', url: 'https://itunes.apple.com/lookup?country=us&id=1', headers: { 'X-Apple-Store-Front': '143441,24' } });
+
+    assert.equal(a, b);
+    assert.notEqual(b, c);
+  });
+
+  it('should replay what was recorded without touching the network', () => {
+    const live = fakeTransport({ 'itunes.apple.com/lookup': { data: { resultCount: 1, results: [lookupEntry(7)] } } });
+
+    return store.app({ id: 7, transport: recorder(dir, live) })
+      .then((recorded) => {
+        assert.lengthOf(live.requests, 1);
+        assert.lengthOf(fs.readdirSync(dir), 1);
+
+        return store.app({ id: 7, transport: replayer(dir) })
+          .then((replayed) => assert.deepEqual(replayed, recorded));
+      })
+      .then(() => assert.lengthOf(live.requests, 1));
+  });
+
+  it('should not store bearer tokens', () => {
+    const live = fakeTransport({ 'amp-api': { data: {} } });
+    const record = recorder(dir, live);
+
+    return record({ method: 'GET', url: 'https://amp-api-edge.apps.apple.com/v1/catalog/us/apps/1', headers: { Authorization: 'Bearer secret' } })
+      .then(() => {
+        const file = fs.readdirSync(dir)[0];
+        assert.notInclude(fs.readFileSync(path.join(dir, file), 'utf8'), 'secret');
+      });
+  });
+
+  it('should only store the response headers the library reads', () => {
+    const live = fakeTransport({
+      'itunes.apple.com/lookup': {
+        headers: { 'Content-Type': 'application/json', 'content-language': 'en-us', 'set-cookie': ['session=secret'], 'x-apple-request-uuid': 'abc' },
+        data: { resultCount: 1, results: [lookupEntry(7)] }
+      }
+    });
+
+    return store.app({ id: 7, transport: recorder(dir, live) })
+      .then(() => {
+        const fixture = JSON.parse(fs.readFileSync(path.join(dir, fs.readdirSync(dir)[0]), 'utf8'));
+        assert.deepEqual(fixture.response.headers, { 'content-type': 'application/json', 'content-language': 'en-us' });
+      });
+  });
+
+  it('should fail loudly on unmatched requests', () => {
+    return store.app({ id: 8, transport: replayer(dir) })
+      .then(assert.fail)
+      .catch((err) => {
+        assert.instanceOf(err, store.errors.FixtureNotFoundError);
+        assert.equal(err.code, 'FIXTURE_NOT_FOUND');
+        assert.include(err.details.key, 'id=8');
+      });
+  });
+
+  it('should switch the default transport', () => {
+    const live = fakeTransport({ 'itunes.apple.com/lookup': { data: { resultCount: 1, results: [lookupEntry(9)] } } });
+    fs.writeFileSync(path.join(dir, 'unused.json'), '{}');
+
+    store.fixtures.replay(dir);
+    return store.app({ id: 9 })
+      .then(assert.fail, (err) => assert.instanceOf(err, store.errors.FixtureNotFoundError))
+      .then(() => store.app({ id: 9, transport: live }))
+      .then((app) => assert.equal(app.id, 9))
+      .finally(() => store.fixtures.disable());
+  });
+});
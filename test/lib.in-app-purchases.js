@@ -0,0 +1,119 @@
+'use strict';
+
+const assert = require('chai').assert;
+const store = require('../index');
+const { fakeTransport } = require('./common');
+
+const page = { data: '<meta content="%7B%22token%22%3A%22abc.def.ghi%22%7D">' };
+
+const coins = {
+  id: '100',
+  type: 'in-apps',
+  attributes: {
+    name: 'Coins',
+    offerName: 'coins_100',
+    description: { standard: 'A pile of coins' },
+    isSubscription: false,
+    isFamilyShareable: false,
+    offers: [{ price: 0.99, priceFormatted: '£0.99', currencyCode: 'GBP' }]
+  }
+};
+
+const pass = {
+  id: '200',
+  type: 'in-apps',
+  attributes: {
+    name: 'Gold Pass',
+    isSubscription: true,
+    subscriptionFamilyId: '300',
+    subscriptionFamilyName: 'Passes',
+    subscriptionFamilyRank: 1,
+    offers: [{ price: 4.99, priceFormatted: '£4.99', currencyCode: 'GBP', recurringSubscriptionPeriod: 'P1M' }]
+  }
+};
+
+const appDocument = {
+  data: [{
+    id: '1',
+    type: 'apps',
+    attributes: { name: 'App' },
+    relationships: {
+      'top-in-apps': { href: '/v1/catalog/gb/apps/1/top-in-apps', next: '/v1/catalog/gb/apps/1/top-in-apps?offset=1', data: [{ id: '100', type: 'in-apps' }] }
+    }
+  }],
+  included: [coins]
+};
+
+function catalogTransport (routes) {
+  return fakeTransport(Object.assign({ 'https://apps.apple.com/': page }, routes));
+}
+
+describe('inAppPurchases method', () => {
+  it('should list the in-app purchases of every page', () => {
+    const transport = catalogTransport({
+      'top-in-apps?offset=1': { data: { data: [pass] } },
+      'amp-api-edge.apps.apple.com/v1/catalog/gb/apps/1?': { data: appDocument }
+    });
+
+    return store.inAppPurchases({ id: 1, country: 'gb', transport })
+      .then((purchases) => {
+        assert.deepEqual(purchases, [
+          {
+            id: '100',
+            productId: 'coins_100',
+            name: 'Coins',
+            description: 'A pile of coins',
+            price: 0.99,
+            formattedPrice: '£0.99',
+            currency: 'GBP',
+            subscription: false,
+            period: null,
+            family: null,
+            familyShareable: false
+          },
+          {
+            id: '200',
+            productId: null,
+            name: 'Gold Pass',
+            description: null,
+            price: 4.99,
+            formattedPrice: '£4.99',
+            currency: 'GBP',
+            subscription: true,
+            period: 'P1M',
+            family: { id: '300', name: 'Passes', rank: 1 },
+            familyShareable: null
+          }
+        ]);
+
+        const catalog = transport.requests.filter((request) => request.url.includes('amp-api-edge'));
+        assert.lengthOf(catalog, 2);
+        assert.include(catalog[0].url, 'include=top-in-apps');
+        assert.equal(catalog[1].url, 'https://amp-api-edge.apps.apple.com/v1/catalog/gb/apps/1/top-in-apps?offset=1');
+      });
+  });
+
+  it('should return an empty list for apps without in-app purchases', () => {
+    const transport = catalogTransport({
+      'amp-api-edge.apps.apple.com': { data: { data: [{ id: '1', type: 'apps', attributes: {} }] } }
+    });
+
+    return store.inAppPurchases({ id: 1, transport })
+      .then((purchases) => assert.deepEqual(purchases, []));
+  });
+
+  it('should fail right away on a next page fetched before', () => {
+    const looping = { data: [pass], next: appDocument.data[0].relationships['top-in-apps'].next };
+    const transport = catalogTransport({
+      'top-in-apps?offset=1': { data: looping },
+      'amp-api-edge.apps.apple.com': { data: JSON.parse(JSON.stringify(appDocument)) }
+    });
+
+    return store.inAppPurchases({ id: 1, transport })
+      .then(() => assert.fail('should not resolve'), (error) => {
+        assert.instanceOf(error, store.errors.ParseError);
+        assert.include(error.message, 'not fetched before');
+        assert.lengthOf(transport.requests.filter((request) => request.url.includes('offset=1')), 1);
+      });
+  });
+});
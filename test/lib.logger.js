@@ -0,0 +1,103 @@
+'use strict';
+
+const assert = require('chai').assert;
+const store = require('../index');
+const { createLogger } = require('../lib/logger');
+const { fakeTransport } = require('./common');
+
+const TOKEN = 'eyJhbGciOiJFUzI1NiJ9.secret-payload.signature';
+
+// Logger collecting every entry, in the shape given to custom loggers
+function memoryLogger () {
+  const entries = [];
+  const logger = {};
+  store.logger.LEVELS.forEach((level) => {
+    logger[level] = (message, fields) => entries.push({ level, message, fields });
+  });
+  logger.entries = entries;
+  return logger;
+}
+
+describe('Logger', () => {
+  afterEach(() => store.logger.configure({ logger: null, level: 'debug', redact: {} }));
+
+  it('should never log the scraped bearer token', () => {
+    const logger = memoryLogger();
+    store.logger.configure({ logger });
+    const transport = fakeTransport({
+      'apps.apple.com/us/app': { data: `token%22%3A%22${TOKEN}%22%7D` },
+      'amp-api-edge': { data: { data: [{ attributes: { privacyDetails: { privacyTypes: [] } } }] } }
+    });
+
+    return store.privacy({ id: 1, country: 'us', transport })
+      .then(() => {
+        const requests = logger.entries.filter((entry) => entry.message === 'Making request');
+        assert.lengthOf(requests, 2);
+        assert.equal(requests[1].fields.headers.Authorization, '[REDACTED]');
+        assert.equal(requests[1].fields.namespace, 'app-store-scraper');
+        assert.notInclude(JSON.stringify(logger.entries), 'secret-payload');
+      });
+  });
+
+  it('should redact tokens and sensitive params inside messages', () => {
+    const logger = memoryLogger();
+    store.logger.configure({ logger });
+    const log = createLogger('app-store-scraper:screenshot-fallback');
+
+    log('Fetching %s with %o', 'https://example.com/page?id=1&token=abc123', { Cookie: 'session=1', Accept: '*/*' });
+    log.warn(`Failed with Authorization: Bearer ${TOKEN}`, { url: 'https://example.com/?api_key=xyz' });
+
+    const [first, second] = logger.entries;
+    assert.equal(first.level, 'debug');
+    assert.include(first.message, 'id=1&token=[REDACTED]');
+    assert.notInclude(first.message, 'session=1');
+    assert.include(first.message, '*/*');
+    assert.equal(first.fields.namespace, 'app-store-scraper:screenshot-fallback');
+    assert.equal(second.level, 'warn');
+    assert.equal(second.message, 'Failed with Authorization: Bearer [REDACTED]');
+    assert.equal(second.fields.url, 'https://example.com/?api_key=[REDACTED]');
+  });
+
+  it('should not modify the logged objects', () => {
+    const logger = memoryLogger();
+    store.logger.configure({ logger });
+    const headers = { Authorization: 'Bearer abc' };
+
+    createLogger('app-store-scraper:test').info('Request', { headers });
+
+    assert.equal(headers.Authorization, 'Bearer abc');
+    assert.equal(logger.entries[0].fields.headers.Authorization, '[REDACTED]');
+  });
+
+  it('should only log entries up to the configured level', () => {
+    const logger = memoryLogger();
+    store.logger.configure({ logger, level: 'warn' });
+    const log = createLogger('app-store-scraper:test');
+
+    log('debug entry');
+    log.info('info entry');
+    log.warn('warn entry');
+    log.error('error entry');
+
+    assert.deepEqual(logger.entries.map((entry) => entry.level), ['warn', 'error']);
+  });
+
+  it('should accept extra names and disabling redaction', () => {
+    const logger = memoryLogger();
+    const log = createLogger('app-store-scraper:test');
+
+    store.logger.configure({ logger, redact: { headers: ['X-Api-Key'], params: ['session'] } });
+    log.info('https://example.com/?session=1', { 'x-api-key': 'secret' });
+    store.logger.configure({ redact: false });
+    log.info('https://example.com/?token=1', { authorization: 'secret' });
+
+    assert.equal(logger.entries[0].message, 'https://example.com/?session=[REDACTED]');
+    assert.equal(logger.entries[0].fields['x-api-key'], '[REDACTED]');
+    assert.equal(logger.entries[1].message, 'https://example.com/?token=1');
+    assert.equal(logger.entries[1].fields.authorization, 'secret');
+  });
+
+  it('should reject unknown levels', () => {
+    assert.throws(() => store.logger.configure({ level: 'verbose' }), TypeError);
+  });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const assert = require('chai').assert;
+const store = require('../index');
+const { fakeTransport, lookupEntry } = require('./common');
+
+const shot = (n) => `https://is1-ssl.mzstatic.com/image/thumb/PurpleSource/v4/11/22/33/12345678-1234-1234-1234-12345678901${n}/ImageGen_${n}_of_3.png/1242x2688bb.jpg`;
+const page = `<html><img src="${shot(1)}"><img src="${shot(2)}"><img src="${shot(3)}"></html>`;
+const votes = '<div class="vote"><span class="total">2</span></div>'.repeat(5);
+
+describe('Result metadata', () => {
+  it('should describe where the app data came from', () => {
+    const transport = fakeTransport({
+      'itunes.apple.com/lookup': {
+        headers: { 'content-language': 'fr-fr' },
+        data: { results: [lookupEntry(42, { screenshotUrls: [], appletvScreenshotUrls: [] })] }
+      },
+      'https://apps.apple.com/fr/app/id42': { data: page },
+      'customer-reviews': { data: `<html><body>${votes}</body></html>` }
+    });
+
+    return store.app({ id: 42, country: 'fr', lang: 'fr', ratings: true, meta: true, transport })
+      .then((app) => {
+        assert.deepEqual(app.meta.sources.map((source) => source.endpoint), ['lookup', 'appPage', 'ratings']);
+        assert.equal(app.meta.sources[0].status, 200);
+        assert.include(app.meta.sources[0].url, 'id=42');
+        assert.equal(app.meta.storefront, '143442');
+        assert.equal(app.meta.country, 'fr');
+        assert.deepEqual(app.meta.language, { requested: 'fr', received: 'fr-fr' });
+        assert.equal(app.meta.fetchedAt, app.meta.sources[0].fetchedAt);
+        assert.isFalse(app.meta.cached);
+        assert.deepEqual(app.meta.screenshots, { iphone: 'screenshot-fallback', ipad: 'itunes-api', appletv: null });
+      });
+  });
+
+  it('should only be added when asked to', () => {
+    const transport = fakeTransport({ 'itunes.apple.com/lookup': { data: { results: [lookupEntry(1)] } } });
+
+    return store.app({ id: 1, transport })
+      .then((app) => assert.notProperty(app, 'meta'));
+  });
+
+  it('should be added to every item of lists', () => {
+    const transport = fakeTransport({
+      'MZStore.woa/wa/search': { data: { bubbles: [{ results: [{ id: 1 }, { id: 2 }] }] } },
+      'itunes.apple.com/lookup': { data: { results: [lookupEntry(1), lookupEntry(2)] } },
+      'rss/customerreviews': {
+        data: {
+          feed: {
+            entry: {
+              id: { label: '7' },
+              author: { name: { label: 'User' }, uri: { label: 'https://example.com/user' } },
+              'im:version': { label: '1.0' },
+              'im:rating': { label: '5' },
+              title: { label: 'Great' },
+              content: { label: 'Great app' },
+              link: { attributes: { href: 'https://example.com/review' } },
+              updated: { label: '2020-01-01T00:00:00-07:00' }
+            }
+          }
+        }
+      }
+    });
+
+    return Promise.all([
+      store.search({ term: 'app', meta: true, transport }),
+      store.reviews({ id: 1, meta: true, transport })
+    ]).then(([apps, reviews]) => {
+      assert.lengthOf(apps, 2);
+      apps.forEach((app) => assert.deepEqual(app.meta.sources.map((source) => source.endpoint), ['search', 'lookup']));
+      assert.equal(apps[0].meta.language.requested, null);
+      assert.deepEqual(reviews[0].meta.sources.map((source) => source.endpoint), ['reviews']);
+    });
+  });
+
+  it('should flag results served from the cache', () => {
+    const transport = fakeTransport({ 'customer-reviews': { data: `<html><body>${votes}</body></html>` } });
+    const client = store.createClient({ transport, cache: true });
+
+    return client.ratings({ id: 1, meta: true })
+      .then((first) => {
+        assert.isFalse(first.meta.cached);
+        return client.ratings({ id: 1, meta: true })
+          .then((second) => {
+            assert.isTrue(second.meta.cached);
+            assert.equal(second.meta.fetchedAt, first.meta.fetchedAt);
+            assert.lengthOf(transport.requests, 1);
+          });
+      });
+  });
+});
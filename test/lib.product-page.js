@@ -0,0 +1,167 @@
+'use strict';
+
+const assert = require('chai').assert;
+const store = require('../index');
+const { fetchPage, parseDetails, parsePreviews, PAGE_HEADERS } = require('../lib/product-page');
+const { fakeTransport, lookupEntry } = require('./common');
+
+const resource = {
+  id: '42',
+  type: 'apps',
+  attributes: {
+    isFamilyShareable: true,
+    privacyPolicyUrl: 'https://example.com/privacy',
+    supportURLForLanguage: 'https://example.com/support',
+    contentRatingsBySystem: { appsApple: { name: '12+', advisories: ['Infrequent/Mild Cartoon or Fantasy Violence'] } },
+    platformAttributes: {
+      ios: {
+        subtitle: 'Match three',
+        copyright: '© Example Ltd',
+        seller: 'Example Limited',
+        isGameCenterEnabled: true
+      }
+    }
+  },
+  relationships: {
+    'top-in-apps': {
+      data: [{ id: '7', type: 'in-apps', attributes: { name: 'Gold', offers: [{ price: 0.99, priceFormatted: '$0.99' }] } }]
+    }
+  }
+};
+
+function productPage (app) {
+  const cache = { 'apps.42': JSON.stringify({ d: [app] }) };
+  return `<html><head><script type="fastboot/shoebox" id="shoebox-media-api-cache-apps">${JSON.stringify(cache)}</script></head></html>`;
+}
+
+describe('Product page', () => {
+  it('should read the details from the structured data', () => {
+    const details = parseDetails(productPage(resource));
+
+    assert.equal(details.subtitle, 'Match three');
+    assert.deepEqual(details.inAppPurchases, [{ id: '7', name: 'Gold', price: 0.99, formattedPrice: '$0.99' }]);
+    assert.equal(details.ageRating, '12+');
+    assert.deepEqual(details.contentDescriptors, ['Infrequent/Mild Cartoon or Fantasy Violence']);
+    assert.equal(details.copyright, '© Example Ltd');
+    assert.equal(details.seller, 'Example Limited');
+    assert.equal(details.supportUrl, 'https://example.com/support');
+    assert.equal(details.privacyPolicyUrl, 'https://example.com/privacy');
+    assert.deepEqual(details.features, { familySharing: true, gameCenter: true, gameControllers: null });
+    assert.deepEqual(details.missingDetails, ['promotionalText', 'features.gameControllers']);
+  });
+
+  it('should report missing sections instead of guessing them', () => {
+    const details = parseDetails(productPage({ id: '42', type: 'apps', attributes: { platformAttributes: { ios: { hasInAppPurchases: false } } } }));
+
+    assert.deepEqual(details.inAppPurchases, []);
+    assert.isNull(details.subtitle);
+    assert.includeMembers(details.missingDetails, ['subtitle', 'ageRating', 'contentDescriptors', 'seller', 'features.familySharing']);
+    assert.notInclude(details.missingDetails, 'inAppPurchases');
+  });
+
+  it('should throw a ParseError for pages without structured data', () => {
+    assert.throws(() => parseDetails('<html><body>Not here</body></html>'), store.errors.ParseError, /appPage/);
+    assert.throws(() => parseDetails(productPage({ id: '1', type: 'developers', attributes: {} })), store.errors.ParseError, /apps resource/);
+  });
+
+  it('should add the details to app() sharing the page with the screenshot fallback', () => {
+    const transport = fakeTransport({
+      'itunes.apple.com/lookup': { data: { resultCount: 1, results: [lookupEntry(42, { screenshotUrls: [] })] } },
+      'https://apps.apple.com/': { data: productPage(resource) }
+    });
+
+    return store.app({ id: 42, extended: true, warnings: true, transport })
+      .then((app) => {
+        assert.equal(app.subtitle, 'Match three');
+        assert.equal(app.seller, 'Example Limited');
+        assert.deepEqual(app.warnings, []);
+        assert.lengthOf(transport.requests.filter((request) => request.url.startsWith('https://apps.apple.com/')), 1);
+      });
+  });
+
+  it('should fetch the page with the request options of the call', () => {
+    const transport = fakeTransport({ 'https://apps.apple.com/': { data: productPage(resource) } });
+
+    return fetchPage(42, 'gb', { transport, requestOptions: { timeout: 2000, headers: { 'Accept-Language': 'en-GB' } } })
+      .then(() => {
+        const request = transport.requests[0];
+        assert.equal(request.url, 'https://apps.apple.com/gb/app/id42');
+        assert.equal(request.timeout, 2000);
+        assert.equal(request.headers['Accept-Language'], 'en-GB');
+        assert.equal(request.headers.Accept, PAGE_HEADERS.Accept);
+      });
+  });
+
+  it('should read the preview videos per device family', () => {
+    const frame = (n) => ({ url: `https://is1-ssl.mzstatic.com/image/thumb/PurpleVideo/v4/frame${n}.jpg/{w}x{h}{c}.{f}`, width: 1920, height: 1080 });
+    const previews = parsePreviews(productPage({
+      id: '42',
+      type: 'apps',
+      attributes: {
+        platformAttributes: {
+          ios: {
+            videoPreviewsByType: {
+              iphone_6_5: [{ video: 'https://example.com/1.m3u8', previewFrame: frame(1), durationInMilliseconds: 29500 }],
+              ipadPro_2018: [{ video: 'https://example.com/2.m3u8', previewFrame: frame(2) }],
+              unknownDevice: [{ video: 'https://example.com/3.m3u8' }]
+            }
+          },
+          appletvos: { videoPreviewsByType: { appletv: [{ video: 'https://example.com/4.m3u8' }] } }
+        }
+      }
+    }));
+
+    assert.deepEqual(previews.iphone, [{
+      url: 'https://example.com/1.m3u8',
+      poster: 'https://is1-ssl.mzstatic.com/image/thumb/PurpleVideo/v4/frame1.jpg/1920x1080bb.jpg',
+      duration: 29.5,
+      device: 'iphone_6_5'
+    }]);
+    assert.deepEqual(previews.ipad.map((preview) => [preview.device, preview.duration]), [['ipadPro_2018', null]]);
+    assert.deepEqual(previews.appletv.map((preview) => preview.url), ['https://example.com/4.m3u8']);
+    assert.deepEqual(previews.mac, []);
+  });
+
+  it('should fetch the page once for screenshots, details and previews', () => {
+    const transport = fakeTransport({
+      'itunes.apple.com/lookup': { data: { resultCount: 1, results: [lookupEntry(42, { screenshotUrls: [] })] } },
+      'https://apps.apple.com/': { data: productPage(resource) }
+    });
+
+    return store.app({ id: 42, extended: true, previews: true, warnings: true, transport })
+      .then((app) => {
+        assert.equal(app.subtitle, 'Match three');
+        assert.deepEqual(app.previews.iphone, []);
+        assert.deepEqual(app.warnings, []);
+        assert.lengthOf(transport.requests.filter((request) => request.url.startsWith('https://apps.apple.com/')), 1);
+      });
+  });
+
+  it('should fetch the page once even without coalescing', () => {
+    const transport = fakeTransport({
+      'itunes.apple.com/lookup': { data: { resultCount: 1, results: [lookupEntry(42, { screenshotUrls: [] })] } },
+      'https://apps.apple.com/': { data: productPage(resource) }
+    });
+
+    return store.app({ id: 42, extended: true, previews: true, coalesce: false, transport })
+      .then((app) => {
+        assert.equal(app.subtitle, 'Match three');
+        assert.isObject(app.previews);
+        assert.lengthOf(transport.requests.filter((request) => request.url.startsWith('https://apps.apple.com/')), 1);
+      });
+  });
+
+  it('should report a page without structured data as a failed enrichment', () => {
+    const transport = fakeTransport({
+      'itunes.apple.com/lookup': { data: { resultCount: 1, results: [lookupEntry(42)] } },
+      'https://apps.apple.com/': { data: '<html></html>' }
+    });
+
+    return store.app({ id: 42, extended: true, previews: true, warnings: true, transport })
+      .then((app) => {
+        assert.notProperty(app, 'subtitle');
+        assert.notProperty(app, 'previews');
+        assert.deepEqual(app.warnings.map((warning) => [warning.enrichment, warning.code]), [['details', 'PARSE_ERROR'], ['previews', 'PARSE_ERROR']]);
+      });
+  });
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const assert = require('chai').assert;
+const { withRetry, parseRetryAfter } = require('../lib/retry');
+const { NetworkError, RateLimitError, ServiceUnavailableError, ValidationError } = require('../lib/errors');
+
+const fast = { baseDelay: 1, jitter: 0 };
+
+function failing (errors, result) {
+  let calls = 0;
+  const fn = () => {
+    const error = errors[calls++];
+    return error ? Promise.reject(error) : Promise.resolve(result);
+  };
+  fn.calls = () => calls;
+  return fn;
+}
+
+describe('Retry policy', () => {
+  it('should not retry unless the retry option is set', () => {
+    const fn = failing([new ServiceUnavailableError()], 'ok');
+    return withRetry(fn, undefined)
+      .then(assert.fail)
+      .catch((err) => {
+        assert.instanceOf(err, ServiceUnavailableError);
+        assert.equal(fn.calls(), 1);
+      });
+  });
+
+  it('should retry retryable errors until it succeeds', () => {
+    const fn = failing([new ServiceUnavailableError(), new NetworkError('reset')], 'ok');
+    return withRetry(fn, fast)
+      .then((result) => {
+        assert.equal(result, 'ok');
+        assert.equal(fn.calls(), 3);
+      });
+  });
+
+  it('should give up after the configured attempts and attach the history', () => {
+    const fn = failing([new NetworkError('a', 500), new NetworkError('b', 502), new NetworkError('c', 504)]);
+    return withRetry(fn, Object.assign({ attempts: 2 }, fast))
+      .then(assert.fail)
+      .catch((err) => {
+        assert.equal(err.message, 'b');
+        assert.equal(fn.calls(), 2);
+        assert.lengthOf(err.details.attempts, 2);
+        assert.equal(err.details.attempts[0].statusCode, 500);
+        assert.isNumber(err.details.attempts[0].delay);
+        assert.equal(err.details.attempts[1].statusCode, 502);
+      });
+  });
+
+  it('should not retry errors outside the policy', () => {
+    const fn = failing([new ValidationError('bad'), new NetworkError('not found', 404)]);
+    return withRetry(fn, fast)
+      .then(assert.fail)
+      .catch((err) => {
+        assert.instanceOf(err, ValidationError);
+        assert.equal(fn.calls(), 1);
+      })
+      .then(() => withRetry(failing([new NetworkError('not found', 404)]), fast))
+      .then(assert.fail)
+      .catch((err) => assert.equal(err.statusCode, 404));
+  });
+
+  it('should honor custom error classes and status codes', () => {
+    const fn = failing([new NetworkError('not found', 404), new ValidationError('bad')], 'ok');
+    return withRetry(fn, Object.assign({ statusCodes: [404], errors: [ValidationError] }, fast))
+      .then((result) => assert.equal(result, 'ok'));
+  });
+
+  it('should wait out the Retry-After header', () => {
+    const fn = failing([new RateLimitError('slow down', '0.2')], 'ok');
+    const start = Date.now();
+    return withRetry(fn, fast)
+      .then(() => assert.isAtLeast(Date.now() - start, 190));
+  });
+
+  it('should give up when Retry-After exceeds maxRetryAfter', () => {
+    const fn = failing([new RateLimitError('slow down', '3600')], 'ok');
+    return withRetry(fn, Object.assign({ maxRetryAfter: 1000 }, fast))
+      .then(assert.fail)
+      .catch((err) => {
+        assert.instanceOf(err, RateLimitError);
+        assert.equal(fn.calls(), 1);
+      });
+  });
+
+  it('should parse Retry-After in seconds and as a date', () => {
+    assert.equal(parseRetryAfter('120'), 120000);
+    assert.isNull(parseRetryAfter(null));
+    assert.isNull(parseRetryAfter('soon'));
+    const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+    assert.closeTo(parseRetryAfter(inTenSeconds), 10000, 1500);
+  });
+});
@@ -2,7 +2,7 @@
 
 const store = require('../index');
 const assert = require('chai').assert;
-const assertValidUrl = require('./common').assertValidUrl;
+const { assertValidUrl, fakeTransport, lookupEntry } = require('./common');
 
 function assertValid (review) {
   assert.isString(review.id);
@@ -60,4 +60,20 @@ describe('Reviews method', () => {
       })
       .catch(done);
   });
+
+  it('should resolve a bundle id with a single lookup', () => {
+    const transport = fakeTransport({
+      'itunes.apple.com/lookup': { data: { resultCount: 1, results: [lookupEntry(42, { bundleId: 'com.example.app' })] } },
+      customerreviews: { data: { feed: {} } }
+    });
+
+    return store.reviews({ appId: 'com.example.app', transport })
+      .then((reviews) => {
+        assert.deepEqual(reviews, []);
+        assert.deepEqual(transport.requests.map((request) => request.url.split('?')[0]), [
+          'https://itunes.apple.com/lookup',
+          'https://itunes.apple.com/us/rss/customerreviews/page=1/id=42/sortby=mostRecent/json'
+        ]);
+      });
+  });
 });
@@ -0,0 +1,92 @@
+'use strict';
+
+const assert = require('chai').assert;
+const { Scheduler } = require('../lib/scheduler');
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Scheduler', () => {
+  it('should never exceed the global concurrency cap', () => {
+    const scheduler = new Scheduler({ concurrency: 2, hosts: {} });
+    let running = 0;
+    let maxRunning = 0;
+    const task = () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      return delay(20).then(() => running--);
+    };
+
+    const urls = ['https://a.example.com/', 'https://b.example.com/', 'https://c.example.com/'];
+    const jobs = [];
+    for (let i = 0; i < 6; i++) {
+      jobs.push(scheduler.schedule(urls[i % urls.length], task));
+    }
+
+    return Promise.all(jobs).then(() => assert.equal(maxRunning, 2));
+  });
+
+  it('should share a host budget between subdomains', () => {
+    const scheduler = new Scheduler({
+      concurrency: 10,
+      hosts: { 'example.com': { maxRequests: 2, perMilliseconds: 100 } }
+    });
+    const starts = [];
+    const task = () => {
+      starts.push(Date.now());
+      return Promise.resolve();
+    };
+
+    const jobs = [
+      scheduler.schedule('https://example.com/1', task),
+      scheduler.schedule('https://api.example.com/2', task),
+      scheduler.schedule('https://www.example.com/3', task),
+      scheduler.schedule('https://example.com/4', task)
+    ];
+
+    return Promise.all(jobs).then(() => {
+      assert.equal(starts.length, 4);
+      assert.isAtLeast(starts[2] - starts[0], 90);
+      assert.isAtLeast(starts[3] - starts[1], 90);
+    });
+  });
+
+  it('should apply the throttle option across concurrent calls', () => {
+    const scheduler = new Scheduler({ concurrency: 10, hosts: {} });
+    const starts = [];
+    const task = () => {
+      starts.push(Date.now());
+      return Promise.resolve();
+    };
+
+    const jobs = [1, 2, 3].map(() => scheduler.schedule('https://example.com/', task, { throttle: 2 }));
+
+    return Promise.all(jobs).then(() => assert.isAtLeast(starts[2] - starts[0], 990));
+  });
+
+  it('should report the queue depth per host', () => {
+    const scheduler = new Scheduler({
+      concurrency: 1,
+      hosts: { 'example.com': { maxRequests: 100 } }
+    });
+    const jobs = [1, 2, 3].map(() => scheduler.schedule('https://example.com/', () => delay(10)));
+
+    const stats = scheduler.stats();
+    assert.equal(stats.active, 1);
+    assert.equal(stats.queued, 2);
+    assert.equal(stats.concurrency, 1);
+    assert.equal(stats.hosts['example.com'].active, 1);
+    assert.equal(stats.hosts['example.com'].queued, 2);
+
+    return Promise.all(jobs).then(() => {
+      assert.equal(scheduler.stats().queued, 0);
+      assert.equal(scheduler.stats().active, 0);
+    });
+  });
+
+  it('should propagate task rejections', () => {
+    const scheduler = new Scheduler();
+    return scheduler.schedule('https://example.com/', () => Promise.reject(new Error('boom')))
+      .then(assert.fail)
+      .catch((err) => assert.equal(err.message, 'boom'));
+  });
+});
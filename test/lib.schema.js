@@ -0,0 +1,159 @@
+'use strict';
+
+const assert = require('chai').assert;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const store = require('../index');
+const schema = require('../lib/schema');
+const { recorder } = require('../lib/fixtures');
+const { fakeTransport, lookupEntry } = require('./common');
+
+const label = (value) => ({ label: value });
+
+function listEntry (id) {
+  return {
+    id: { attributes: { 'im:id': String(id), 'im:bundleId': `com.example.app${id}` } },
+    'im:name': label(`App ${id}`),
+    'im:artist': label('Developer'),
+    'im:image': [label('https://example.com/icon.png')],
+    'im:price': { attributes: { amount: '0.00000', currency: 'USD' } },
+    'im:releaseDate': label('2020-01-01T00:00:00-07:00'),
+    category: { attributes: { label: 'Games', 'im:id': '6014' } }
+  };
+}
+
+function reviewEntry (id) {
+  return {
+    id: label(String(id)),
+    author: { name: label('User'), uri: label('https://example.com/user') },
+    'im:version': label('1.0'),
+    'im:rating': label('5'),
+    title: label('Great'),
+    content: label('Great app'),
+    link: { attributes: { href: 'https://example.com/review' } },
+    updated: label('2020-01-01T00:00:00-07:00')
+  };
+}
+
+function assertViolation (error, endpoint, path) {
+  assert.instanceOf(error, store.errors.ParseError);
+  assert.equal(error.code, 'PARSE_ERROR');
+  assert.equal(error.details.endpoint, endpoint);
+  assert.equal(error.details.path, path);
+  assert.include(error.message, endpoint);
+  assert.include(error.message, path);
+  assert.isString(error.details.sample);
+}
+
+describe('Response schemas', () => {
+  it('should return the parsed payload when it matches', () => {
+    const feed = schema.validate('list', JSON.stringify({ feed: { entry: [listEntry(1), listEntry(2)] } }));
+    assert.lengthOf(feed.feed.entry, 2);
+
+    // RSS feeds drop the array around a single entry
+    assert.doesNotThrow(() => schema.validate('reviews', { feed: { entry: reviewEntry(1) } }));
+    assert.doesNotThrow(() => schema.validate('search', {}));
+  });
+
+  it('should name the endpoint, the broken path and a sample of the payload', () => {
+    const entry = listEntry(2);
+    delete entry['im:artist'];
+
+    try {
+      schema.validate('list', { feed: { entry: [listEntry(1), entry] } });
+      assert.fail('should throw');
+    } catch (error) {
+      assertViolation(error, 'list', '$.feed.entry[1]["im:artist"]');
+      assert.equal(error.details.expected, 'object');
+      assert.equal(error.details.actual, 'undefined');
+      assert.include(error.details.sample, 'com.example.app2');
+    }
+
+    try {
+      schema.validate('search', '<html>maintenance</html>');
+      assert.fail('should throw');
+    } catch (error) {
+      assertViolation(error, 'search', '$');
+      assert.include(error.details.sample, 'maintenance');
+    }
+  });
+
+  it('should check the selectors of HTML pages', () => {
+    const votes = '<div class="vote"><span class="total">1</span></div>';
+
+    assert.doesNotThrow(() => schema.validate('ratings', `<html><body>${votes.repeat(5)}</body></html>`));
+    try {
+      schema.validate('ratings', `<html><body>${votes}</body></html>`);
+      assert.fail('should throw');
+    } catch (error) {
+      assertViolation(error, 'ratings', '.vote .total');
+      assert.equal(error.details.actual, '1');
+    }
+  });
+
+  it('should accept ratings pages without a histogram', () => {
+    const transport = fakeTransport({ 'customer-reviews': { data: '<html><body><p>No Ratings</p></body></html>' } });
+
+    return store.ratings({ id: 1, transport })
+      .then((ratings) => assert.deepEqual(ratings, { ratings: 0, histogram: {} }));
+  });
+
+  it('should reject drifted responses from the methods', () => {
+    const entry = reviewEntry(1);
+    entry.author = 'User';
+    const transport = fakeTransport({ 'rss/customerreviews': { data: { feed: { entry: [entry] } } } });
+
+    return store.reviews({ id: 1, transport })
+      .then(() => assert.fail('should not resolve'), (error) => {
+        assertViolation(error, 'reviews', '$.feed.entry[0].author');
+      });
+  });
+
+  describe('selfCheck', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'app-store-self-check-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should run every parser against the recorded responses', () => {
+      const broken = reviewEntry(1);
+      delete broken.content;
+      const transport = recorder(dir, fakeTransport({
+        'itunes.apple.com/lookup': { data: { resultCount: 1, results: [lookupEntry(1)] } },
+        'rss/customerreviews/page=1/': { data: { feed: { entry: [reviewEntry(1)] } } },
+        'rss/customerreviews/page=2/': { data: { feed: { entry: [broken] } } }
+      }));
+
+      return Promise.all([
+        store.app({ id: 1, transport }),
+        store.reviews({ id: 1, transport }),
+        store.reviews({ id: 1, page: 2, transport }).catch(() => null)
+      ])
+        .then(() => store.selfCheck({ dir }))
+        .then((report) => {
+          assert.isFalse(report.ok);
+          assert.equal(report.checked, 3);
+          assert.lengthOf(report.failed, 1);
+          assert.equal(report.failed[0].endpoint, 'reviews');
+          assert.include(report.failed[0].url, 'page=2');
+          assertViolation(report.failed[0].error, 'reviews', '$.feed.entry[0].content');
+          assert.notInclude(report.untested, 'lookup');
+          assert.include(report.untested, 'suggest');
+        });
+    });
+
+    it('should require an existing fixture directory', () => {
+      return store.selfCheck({ dir: path.join(dir, 'missing') })
+        .then(() => assert.fail('should not resolve'), (error) => {
+          assert.instanceOf(error, store.errors.ValidationError);
+          assert.equal(error.field, 'dir');
+        });
+    });
+  });
+});
@@ -0,0 +1,103 @@
+'use strict';
+
+const assert = require('chai').assert;
+const axios = require('axios');
+const store = require('../index');
+const { fakeTransport, lookupEntry } = require('./common');
+const { extractScreenshotsFromWeb } = require('../lib/screenshot-fallback');
+const { ScreenshotValidator } = require('../lib/screenshot-validator');
+
+const lookupResponse = (...entries) => ({ data: { resultCount: entries.length, results: entries } });
+
+describe('Transport', () => {
+  it('should route every request of a client through its transport', () => {
+    const transport = fakeTransport({ 'itunes.apple.com/lookup': lookupResponse(lookupEntry(553834731)) });
+    const client = store.createClient({ transport });
+
+    return client.app({ id: 553834731 })
+      .then((app) => {
+        assert.equal(app.id, 553834731);
+        assert.equal(app.title, 'App 553834731');
+        assert.lengthOf(transport.requests, 1);
+        assert.equal(transport.requests[0].method, 'GET');
+        assert.include(transport.requests[0].url, 'id=553834731');
+      });
+  });
+
+  it('should let call options override the client ones', () => {
+    const clientTransport = fakeTransport({});
+    const callTransport = fakeTransport({ 'itunes.apple.com/lookup': lookupResponse(lookupEntry(1)) });
+    const client = store.createClient({ transport: clientTransport });
+
+    return client.app({ id: 1, transport: callTransport })
+      .then(() => {
+        assert.lengthOf(clientTransport.requests, 0);
+        assert.lengthOf(callTransport.requests, 1);
+      });
+  });
+
+  it('should accept an axios instance', () => {
+    const requests = [];
+    const instance = axios.create({
+      adapter: (config) => {
+        requests.push(config.url);
+        return Promise.resolve({ status: 200, statusText: 'OK', headers: {}, config, data: lookupResponse(lookupEntry(2)).data });
+      }
+    });
+
+    return store.app({ id: 2, transport: instance })
+      .then((app) => {
+        assert.equal(app.id, 2);
+        assert.lengthOf(requests, 1);
+      });
+  });
+
+  it('should map HTTP statuses to typed errors', () => {
+    const transport = fakeTransport({
+      customerreviews: { status: 503, statusText: 'Service Unavailable', headers: { 'retry-after': '10' } }
+    });
+
+    return store.reviews({ id: 1, transport })
+      .then(assert.fail)
+      .catch((err) => {
+        assert.instanceOf(err, store.errors.ServiceUnavailableError);
+        assert.equal(err.retryAfter, '10');
+      });
+  });
+
+  it('should wrap transport failures in a NetworkError', () => {
+    const transport = () => Promise.reject(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+
+    return store.ratings({ id: 1, transport })
+      .then(assert.fail)
+      .catch((err) => {
+        assert.instanceOf(err, store.errors.NetworkError);
+        assert.include(err.message, 'socket hang up');
+      });
+  });
+
+  it('should be used by the screenshot web fallback', () => {
+    const shot = (n) => `https://is1-ssl.mzstatic.com/image/thumb/PurpleSource/v4/11/22/33/12345678-1234-1234-1234-12345678901${n}/ImageGen_${n}_of_3.png/1242x2688bb.jpg`;
+    const html = `<html><img src="${shot(1)}"><img src="${shot(2)}"><img src="${shot(3)}"></html>`;
+    const transport = fakeTransport({ 'apps.apple.com/us/app/id42': { data: html } });
+
+    return extractScreenshotsFromWeb(42, 'us', { transport })
+      .then((result) => {
+        assert.lengthOf(transport.requests, 1);
+        assert.lengthOf(result.screenshots, 3);
+      });
+  });
+
+  it('should be used by the screenshot validator', () => {
+    const transport = fakeTransport({ 'apps.apple.com/gb/app/id42': { data: '' } });
+    const validator = new ScreenshotValidator({ transport });
+
+    return validator._checkAppPageExists(42, 'gb')
+      .then((exists) => {
+        assert.isTrue(exists);
+        assert.equal(transport.requests[0].method, 'HEAD');
+        return validator._checkAppPageExists(43, 'gb');
+      })
+      .then((exists) => assert.isFalse(exists));
+  });
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+const assert = require('chai').assert;
+const store = require('../index');
+const { fakeTransport, lookupEntry } = require('./common');
+
+const lookup = (ids) => ({ data: { resultCount: ids.length, results: ids.map((id) => lookupEntry(id, { screenshotUrls: [] })) } });
+
+function assertInvalidUrl (fn) {
+  try {
+    fn();
+  } catch (error) {
+    assert.instanceOf(error, store.errors.ValidationError);
+    assert.equal(error.field, 'url');
+    return;
+  }
+  assert.fail('should throw');
+}
+
+describe('App Store links', () => {
+  it('should read app links', () => {
+    assert.deepEqual(store.parseUrl('https://apps.apple.com/de/app/candy-crush-saga/id553834731?platform=ipad&ppid=8b2e3b4a'), {
+      type: 'app',
+      id: '553834731',
+      country: 'de',
+      platform: 'ipad',
+      productPageId: '8b2e3b4a'
+    });
+    assert.deepEqual(store.parseUrl('https://apps.apple.com/app/id553834731'), {
+      type: 'app', id: '553834731', country: null, platform: null, productPageId: null
+    });
+    assert.include(store.parseUrl('https://itunes.apple.com/GB/app/candy-crush-saga/id553834731?mt=8'), { id: '553834731', country: 'gb' });
+    assert.include(store.parseUrl('itms-apps://itunes.apple.com/app/id553834731'), { type: 'app', id: '553834731' });
+    assert.include(store.parseUrl('https://apps.apple.com/us/app/xcode/id497799835?mt=12'), { platform: 'mac' });
+    assert.include(store.parseUrl('https://itunes.apple.com/WebObjects/MZStore.woa/wa/viewSoftware?id=553834731'), { type: 'app', id: '553834731' });
+  });
+
+  it('should read developer links', () => {
+    assert.include(store.parseUrl('https://apps.apple.com/us/developer/king/id526656015'), { type: 'developer', id: '526656015', country: 'us' });
+    assert.include(store.parseUrl('https://itunes.apple.com/fr/artist/king/id526656015'), { type: 'developer', id: '526656015', country: 'fr' });
+  });
+
+  it('should reject other links', () => {
+    assertInvalidUrl(() => store.parseUrl('https://play.google.com/store/apps/details?id=com.king.candycrushsaga'));
+    assertInvalidUrl(() => store.parseUrl('https://apps.apple.com/us/charts/iphone'));
+    assertInvalidUrl(() => store.parseUrl('not a link'));
+    assertInvalidUrl(() => store.parseUrl(553834731));
+  });
+
+  it('should accept a link instead of an id, using its country', () => {
+    const transport = fakeTransport({ 'itunes.apple.com/lookup': lookup([42]) });
+
+    return store.app({ url: 'https://apps.apple.com/fr/app/some-app/id42', transport })
+      .then((app) => {
+        assert.equal(app.id, 42);
+        assert.include(transport.requests[0].url, 'id=42');
+        assert.include(transport.requests[0].url, 'country=fr');
+      })
+      .then(() => store.developer({ url: 'https://apps.apple.com/gb/developer/someone/id42', transport }))
+      .then(() => assert.include(transport.requests[transport.requests.length - 1].url, 'country=gb'));
+  });
+
+  it('should let the country option override the link', () => {
+    const transport = fakeTransport({ 'itunes.apple.com/lookup': lookup([42]) });
+    const client = store.createClient({ country: 'jp', transport });
+    const lastLookup = () => transport.requests.map((request) => request.url).filter((url) => url.includes('/lookup')).pop();
+
+    return store.app({ url: 'https://apps.apple.com/fr/app/id42', country: 'de', transport })
+      .then(() => assert.include(lastLookup(), 'country=de'))
+      .then(() => client.app({ url: 'https://apps.apple.com/fr/app/id42' }))
+      .then(() => assert.include(lastLookup(), 'country=fr'))
+      .then(() => client.app({ url: 'https://apps.apple.com/app/id42' }))
+      .then(() => assert.include(lastLookup(), 'country=jp'));
+  });
+
+  it('should accept links in apps()', () => {
+    const transport = fakeTransport({ 'itunes.apple.com/lookup': lookup([1, 2]) });
+
+    return store.apps({ urls: ['https://apps.apple.com/ca/app/id1', 'https://apps.apple.com/ca/app/id2'], transport })
+      .then((apps) => {
+        assert.deepEqual(apps.map((app) => app.id), [1, 2]);
+        assert.include(transport.requests[0].url, 'country=ca');
+      });
+  });
+
+  it('should reject conflicting or mismatched links', () => {
+    const developerLink = 'https://apps.apple.com/us/developer/king/id526656015';
+
+    return Promise.all([
+      store.app({ url: 'https://apps.apple.com/us/app/id1', id: 2 }),
+      store.app({ url: developerLink }),
+      store.ratings({ url: 'https://example.com/app/id1' }),
+      store.apps({ urls: [developerLink] }),
+      store.apps({ urls: ['https://apps.apple.com/us/app/id1'], ids: [1] })
+    ].map((promise) => promise.then(() => assert.fail('should not resolve'), (error) => error)))
+      .then((errors) => errors.forEach((error) => {
+        assert.instanceOf(error, store.errors.ValidationError);
+        assert.match(error.field, /^urls?$/);
+      }));
+  });
+});
@@ -0,0 +1,103 @@
+'use strict';
+
+const assert = require('chai').assert;
+const store = require('../index');
+const { fakeTransport, lookupEntry } = require('./common');
+
+const page = { data: '<meta content="%7B%22token%22%3A%22abc.def.ghi%22%7D">' };
+
+function rejectsWith (promise, ErrorClass, code, field) {
+  return promise.then(() => assert.fail('should not resolve'), (error) => {
+    assert.instanceOf(error, ErrorClass);
+    assert.equal(error.code, code);
+    if (field) {
+      assert.equal(error.field, field);
+    }
+    return error;
+  });
+}
+
+describe('Validation and typed errors', () => {
+  it('should validate options before making any request', () => {
+    const transport = fakeTransport({});
+    const { ValidationError } = store.errors;
+
+    return Promise.all([
+      rejectsWith(store.privacy({ transport }), ValidationError, 'VALIDATION_ERROR', 'id or appId'),
+      rejectsWith(store.versionHistory({ id: 1, country: 'usa', transport }), ValidationError, 'VALIDATION_ERROR', 'country'),
+      rejectsWith(store.developer({ transport }), ValidationError, 'VALIDATION_ERROR', 'devId'),
+      rejectsWith(store.developer({ devId: {}, transport }), ValidationError, 'VALIDATION_ERROR', 'devId'),
+      rejectsWith(store.suggest(), ValidationError, 'VALIDATION_ERROR'),
+      rejectsWith(store.suggest({ term: '  ', transport }), ValidationError, 'VALIDATION_ERROR', 'term'),
+      rejectsWith(store.similar({ appId: 42, transport }), ValidationError, 'VALIDATION_ERROR', 'appId')
+    ]).then(() => assert.lengthOf(transport.requests, 0));
+  });
+
+  it('should resolve appId with a lookup for privacy and versionHistory', () => {
+    const transport = fakeTransport({
+      'itunes.apple.com/lookup': { data: { results: [lookupEntry(7)] } },
+      'https://apps.apple.com/': page,
+      'amp-api-edge.apps.apple.com/v1/catalog/us/apps/7': (request) => ({
+        data: {
+          data: [{
+            id: '7',
+            type: 'apps',
+            attributes: request.url.includes('privacyDetails')
+              ? { privacyDetails: { privacyTypes: [] } }
+              : { platformAttributes: { osx: { versionHistory: [{ versionDisplay: '1.0' }] } } }
+          }]
+        }
+      })
+    });
+
+    return Promise.all([
+      store.privacy({ appId: 'com.example.app7', transport }),
+      store.versionHistory({ appId: 'com.example.app7', transport })
+    ]).then(([privacy, history]) => {
+      assert.deepEqual(privacy, { privacyTypes: [] });
+      assert.deepEqual(history, [{ versionDisplay: '1.0' }]);
+      assert.include(transport.requests[0].url, 'bundleId=com.example.app7');
+    });
+  });
+
+  it('should report unknown apps and developers as NotFoundError', () => {
+    const transport = fakeTransport({
+      'itunes.apple.com/lookup': { data: { results: [] } }
+    });
+    const { NotFoundError } = store.errors;
+
+    return Promise.all([
+      rejectsWith(store.similar({ appId: 'com.missing', transport }), NotFoundError, 'NOT_FOUND'),
+      rejectsWith(store.privacy({ appId: 'com.missing', transport }), NotFoundError, 'NOT_FOUND'),
+      rejectsWith(store.developer({ devId: 1, transport }), NotFoundError, 'NOT_FOUND')
+        .then((error) => assert.equal(error.resourceType, 'developer'))
+    ]);
+  });
+
+  it('should report unreadable responses as ParseError', () => {
+    const { ParseError } = store.errors;
+
+    return Promise.all([
+      rejectsWith(store.suggest({ term: 'panda', transport: fakeTransport({ MZSearchHints: { data: '<plist><dict>' } }) }), ParseError, 'PARSE_ERROR'),
+      rejectsWith(store.suggest({ term: 'panda', transport: fakeTransport({ MZSearchHints: { data: '<html></html>' } }) }), ParseError, 'PARSE_ERROR'),
+      rejectsWith(store.similar({ id: 1, transport: fakeTransport({ '/app/app/id1': { data: '"customersAlsoBoughtApps":[1,]' } }) }), ParseError, 'PARSE_ERROR'),
+      rejectsWith(store.privacy({
+        id: 1,
+        transport: fakeTransport({
+          'https://apps.apple.com/': page,
+          'amp-api-edge.apps.apple.com': { data: { data: [{ id: '1', type: 'apps', attributes: {} }] } }
+        })
+      }), ParseError, 'PARSE_ERROR')
+    ]);
+  });
+
+  it('should return no similar apps when the page has none', () => {
+    const transport = fakeTransport({ '/app/app/id1': { data: '<html></html>' } });
+
+    return store.similar({ id: 1, transport })
+      .then((apps) => {
+        assert.deepEqual(apps, []);
+        assert.lengthOf(transport.requests, 1);
+      });
+  });
+});
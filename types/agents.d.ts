@@ -0,0 +1,43 @@
+// Connection pooling types for app-store-scraper
+
+/**
+ * Options of the shared keep-alive agents (see http.Agent)
+ */
+export interface AgentOptions {
+  /** Keep connections open between requests (default: true) */
+  keepAlive?: boolean;
+  /** Initial delay of the TCP keep-alive probes (default: 1000) */
+  keepAliveMsecs?: number;
+  /** Maximum sockets per host (default: 10) */
+  maxSockets?: number;
+  /** Maximum idle sockets kept open per host (default: 10) */
+  maxFreeSockets?: number;
+  /** Maximum sockets across all hosts (default: Infinity) */
+  maxTotalSockets?: number;
+  /** Idle sockets are closed after this many milliseconds (default: 60000) */
+  timeout?: number;
+  /** Which idle socket to reuse first (default: 'lifo') */
+  scheduling?: 'fifo' | 'lifo';
+}
+
+/**
+ * Open sockets of the shared agents
+ */
+export interface AgentStats {
+  options: AgentOptions;
+  /** Sockets in use, per host */
+  active: { [host: string]: number };
+  /** Idle sockets, per host */
+  idle: { [host: string]: number };
+}
+
+/**
+ * Shared keep-alive agents used by the built-in transport
+ */
+export interface Agents {
+  /** Replaces the agents with new ones, requests already running finish on the old ones */
+  configure(options: AgentOptions): void;
+  stats(): AgentStats;
+  /** Closes every socket, e.g. before the process exits */
+  destroy(): void;
+}
@@ -0,0 +1,64 @@
+// amp-api catalog types for app-store-scraper
+
+import { BaseOptions } from './common';
+
+/**
+ * Query value: a string, a list, or per resource type lists (`fields[apps]=...`)
+ */
+export type AmpQueryValue = string | string[] | { [type: string]: string | string[] };
+
+/**
+ * Options for the ampCatalog() method - either ids, id or url is required
+ */
+export interface AmpCatalogOptions extends BaseOptions {
+  /** Catalog resource type (default: 'apps') */
+  type?: string;
+  /** Catalog ids of the resources */
+  ids?: Array<string | number>;
+  /** Single catalog id */
+  id?: string | number;
+  /** App Store app or developer link, standing for its resource and country */
+  url?: string;
+  /** Sparse fieldsets */
+  fields?: AmpQueryValue;
+  /** Extra attributes to add to the resources */
+  extend?: AmpQueryValue;
+  /** Relationships whose resources should be included in the document */
+  include?: AmpQueryValue;
+  /** Platform of the catalog (default: 'web') */
+  platform?: string;
+  /** Other platforms to return attributes for */
+  additionalPlatforms?: string[];
+}
+
+export interface AmpResourceIdentifier {
+  id: string;
+  type: string;
+}
+
+export interface AmpResource extends AmpResourceIdentifier {
+  href?: string;
+  attributes?: { [name: string]: any };
+  meta?: { [name: string]: any };
+  relationships?: { [name: string]: AmpRelationship };
+}
+
+export interface AmpRelationship {
+  href?: string;
+  data?: AmpResourceIdentifier | AmpResourceIdentifier[] | null;
+  /**
+   * Related resources found in the document, without their own relationships.
+   * null for the ones the document doesn't contain
+   */
+  resolved?: AmpResource | null | Array<AmpResource | null>;
+  [key: string]: any;
+}
+
+/**
+ * Raw JSON:API document returned by the amp-api
+ */
+export interface AmpDocument {
+  data: AmpResource[];
+  included?: AmpResource[];
+  [key: string]: any;
+}
@@ -1,6 +1,8 @@
 // App-related types for app-store-scraper
 
 import { BaseOptions, CountryCode, Screenshots, AppMetadata, RatingInfo, PriceInfo } from './common';
+import { NotFoundError } from './errors';
+import { AppResultMeta } from './meta';
 
 /**
  * Options for the app() method
@@ -10,14 +12,37 @@ export interface AppOptions extends BaseOptions {
   id?: string | number;
   /** Bundle identifier (com.company.app) - either this or id is required */
   appId?: string;
+  /** App Store link (apps.apple.com, itunes.apple.com, itms-apps://) - alternative to id and appId, its country is used unless `country` is set */
+  url?: string;
   /** Include ratings data in the response (default: false) */
   ratings?: boolean;
+  /** Add the product page details the lookup lacks, see AppDetails (default: false) */
+  extended?: boolean;
+  /** Add the app preview videos of the product page as `previews` (default: false) */
+  previews?: boolean;
+  /** List the enrichments that failed in `warnings` (default: false) */
+  warnings?: boolean;
+  /** Fail the call when an enrichment fails instead of tolerating it (default: false) */
+  strict?: boolean;
+  /** Add a `meta` provenance block to the results (default: false) */
+  meta?: boolean;
+}
+
+/**
+ * Optional step of app() that failed without failing the call
+ */
+export interface EnrichmentWarning {
+  /** Which enrichment failed */
+  enrichment: 'screenshots' | 'details' | 'previews' | 'ratings' | string;
+  /** Error code, see the error classes */
+  code: string;
+  message: string;
 }
 
 /**
  * Complete app information returned by the app() method
  */
-export interface AppResult extends AppMetadata, RatingInfo, PriceInfo, Screenshots {
+export interface AppResult extends AppMetadata, RatingInfo, PriceInfo, Screenshots, Partial<AppDetails> {
   /** App icon URL (high resolution) */
   icon: string;
   /** App Store URL */
@@ -30,6 +55,79 @@ export interface AppResult extends AppMetadata, RatingInfo, PriceInfo, Screensho
   // Optional ratings data (included if ratings: true)
   /** Ratings histogram data (if ratings option is true) */
   histogram?: RatingsHistogram;
+
+  /** App preview videos per device family (if previews option is true) */
+  previews?: AppPreviews;
+
+  /** Failed enrichments, empty when none failed (if warnings option is true) */
+  warnings?: EnrichmentWarning[];
+
+  /** Provenance of the data (if meta option is true) */
+  meta?: AppResultMeta;
+}
+
+/**
+ * In-app purchase listed on the product page
+ */
+export interface InAppPurchase {
+  id: string;
+  name: string;
+  price: number | null;
+  /** Price in the storefront currency, e.g. '$4.99' */
+  formattedPrice: string | null;
+}
+
+/**
+ * Product page details added by app({ extended: true }). Sections the page
+ * does not have are null and named in `missingDetails`.
+ */
+export interface AppDetails {
+  subtitle: string | null;
+  promotionalText: string | null;
+  /** Empty when the app has none */
+  inAppPurchases: InAppPurchase[] | null;
+  /** Age rating, e.g. '12+' */
+  ageRating: string | null;
+  /** Content descriptors behind the age rating, e.g. 'Infrequent/Mild Cartoon or Fantasy Violence' */
+  contentDescriptors: string[] | null;
+  copyright: string | null;
+  seller: string | null;
+  supportUrl: string | null;
+  privacyPolicyUrl: string | null;
+  /** "Supports" section of the page */
+  features: {
+    familySharing: boolean | null;
+    gameCenter: boolean | null;
+    gameControllers: boolean | null;
+  };
+  /** Sections the page did not have, features as e.g. 'features.gameCenter' */
+  missingDetails: string[];
+}
+
+/**
+ * App preview video of the product page
+ */
+export interface AppPreview {
+  /** HLS playlist (.m3u8) */
+  url: string;
+  /** Poster frame image */
+  poster: string | null;
+  /** Length in seconds, null when the page doesn't tell */
+  duration: number | null;
+  /** Display type the preview targets, e.g. 'iphone_6_5' or 'ipadPro_2018' */
+  device: string;
+}
+
+/**
+ * App preview videos per device family, empty for families without any
+ */
+export interface AppPreviews {
+  iphone: AppPreview[];
+  ipad: AppPreview[];
+  appletv: AppPreview[];
+  mac: AppPreview[];
+  watch: AppPreview[];
+  vision: AppPreview[];
 }
 
 /**
@@ -52,8 +150,76 @@ export interface RatingsHistogram {
  * Options for the developer() method
  */
 export interface DeveloperOptions extends BaseOptions {
-  /** Developer ID (numeric) - required */
-  devId: string | number;
+  /** Developer ID (numeric) - either this or url is required */
+  devId?: string | number;
+  /** App Store developer link - alternative to devId, its country is used unless `country` is set */
+  url?: string;
+}
+
+/**
+ * Options for the apps() batch lookup - either ids, appIds or urls is required
+ */
+export interface AppsOptions extends BaseOptions {
+  /** App Store IDs (numeric) */
+  ids?: Array<string | number>;
+  /** Bundle identifiers (com.company.app) */
+  appIds?: string[];
+  /** App Store app links, their country is used when they share one and `country` is not set */
+  urls?: string[];
+  /** IDs per lookup request, capped at 200 for ids and 50 for appIds */
+  chunkSize?: number;
+  /** Maximum number of lookup requests running at once (default: 2) */
+  concurrency?: number;
+}
+
+/**
+ * One entry per requested ID, in input order
+ */
+export type AppsResult = Array<AppResult | NotFoundError>;
+
+/**
+ * Options for the appAcrossCountries() method - either id, appId or url is required
+ */
+export interface AppAcrossCountriesOptions extends BaseOptions {
+  /** App Store ID (numeric) */
+  id?: string | number;
+  /** Bundle identifier (com.company.app) */
+  appId?: string;
+  /** App Store link - alternative to id and appId */
+  url?: string;
+  /** Lowercase country codes of the storefronts (default: every one of constants.markets) */
+  countries?: string[];
+  /** Maximum number of lookup requests running at once (default: 2) */
+  concurrency?: number;
+}
+
+/**
+ * The app in one storefront, fields are null when it is not available there
+ */
+export interface CountryAvailability {
+  /** false when the app is not sold in the storefront, null when its lookup failed */
+  available: boolean | null;
+  price: number | null;
+  currency: string | null;
+  version: string | null;
+  score: number | null;
+  reviews: number | null;
+  /** Why the lookup failed, when `available` is null */
+  error?: { code: string; message: string };
+}
+
+/**
+ * Result of the appAcrossCountries() method
+ */
+export interface AppAcrossCountriesResult {
+  /** App Store ID of the app, null when no storefront has it */
+  id: number | null;
+  /** Availability per country, in the requested order */
+  countries: { [country: string]: CountryAvailability };
+  /** Countries where the app is not available */
+  unavailable: string[];
+  /** Countries whose lookup failed */
+  failed: string[];
 }
 
 /**
@@ -64,6 +230,8 @@ export interface SimilarOptions extends BaseOptions {
   id?: string | number;
   /** Bundle identifier (com.company.app) - either this or id is required */
   appId?: string;
+  /** App Store link (apps.apple.com, itunes.apple.com, itms-apps://) - alternative to id and appId, its country is used unless `country` is set */
+  url?: string;
 }
 
 /**
@@ -74,6 +242,8 @@ export interface PrivacyOptions extends BaseOptions {
   id?: string | number;
   /** Bundle identifier (com.company.app) - either this or id is required */
   appId?: string;
+  /** App Store link (apps.apple.com, itunes.apple.com, itms-apps://) - alternative to id and appId, its country is used unless `country` is set */
+  url?: string;
 }
 
 /**
@@ -112,6 +282,8 @@ export interface VersionHistoryOptions extends BaseOptions {
   id?: string | number;
   /** Bundle identifier (com.company.app) - either this or id is required */
   appId?: string;
+  /** App Store link (apps.apple.com, itunes.apple.com, itms-apps://) - alternative to id and appId, its country is used unless `country` is set */
+  url?: string;
   /** Maximum number of versions to return (default: 10) */
   num?: number;
 }
@@ -128,4 +300,37 @@ export interface VersionHistoryResult {
   releaseNotes: string;
   /** Version size in bytes */
   size?: number;
-}
\ No newline at end of file
+}
+/**
+ * Options for the inAppPurchases() method
+ */
+export interface InAppPurchasesOptions extends BaseOptions {
+  /** App Store ID (numeric) - either this or appId is required */
+  id?: string | number;
+  /** Bundle identifier (com.company.app) - either this or id is required */
+  appId?: string;
+  /** App Store link (apps.apple.com, itunes.apple.com, itms-apps://) - alternative to id and appId, its country is used unless `country` is set */
+  url?: string;
+}
+
+/**
+ * In-app purchase from the amp-api catalog, fields are null when the catalog doesn't have them
+ */
+export interface InAppPurchaseResult {
+  id: string;
+  /** Product identifier set by the developer */
+  productId: string | null;
+  name: string | null;
+  description: string | null;
+  price: number | null;
+  /** Price in the storefront currency, e.g. '$4.99' */
+  formattedPrice: string | null;
+  /** ISO 4217 currency code */
+  currency: string | null;
+  subscription: boolean;
+  /** Renewal period of subscriptions as an ISO 8601 duration, e.g. 'P1M' */
+  period: string | null;
+  /** Subscription group */
+  family: { id: string; name: string | null; rank: number | null } | null;
+  familyShareable: boolean | null;
+}
@@ -0,0 +1,63 @@
+// Artwork URL types for app-store-scraper
+
+/**
+ * Parts of an mzstatic image URL, as read by artwork.parse()
+ */
+export interface ArtworkParts {
+  /** URL of the asset, without the size segment */
+  base: string;
+  /** Size, crop and format are null for `{w}x{h}{c}.{f}` templates */
+  width: number | null;
+  height: number | null;
+  /** Crop code, e.g. 'bb' to fit in the box, 'sr' or 'cc' to crop */
+  crop: string | null;
+  format: string | null;
+  template: boolean;
+}
+
+/**
+ * What to change in an artwork URL
+ */
+export interface ArtworkOptions {
+  /** Width in pixels (default: the one of the URL) */
+  width?: number;
+  /** Height in pixels (default: keeps the aspect ratio of the URL, square for templates) */
+  height?: number;
+  /** Crop code (default: the one of the URL or 'bb') */
+  crop?: string;
+  /** Image format (default: the one of the URL or 'jpg') */
+  format?: 'jpg' | 'png' | 'webp';
+}
+
+/**
+ * Artwork URL with helpers, returned in place of icon and screenshot URLs
+ * with the `artwork` option. It serializes to the URL.
+ */
+export interface Artwork {
+  url: string;
+  width: number | null;
+  height: number | null;
+  crop: string | null;
+  format: string | null;
+  /** The URL at `width` pixels wide */
+  at(width: number, options?: Omit<ArtworkOptions, 'width'>): string;
+  toString(): string;
+  toJSON(): string;
+}
+
+/**
+ * A result of app(), list(), search()... fetched with `artwork: true`
+ */
+export type WithArtwork<T> = {
+  [K in keyof T]: K extends 'icon' ? Artwork : K extends 'screenshots' | 'ipadScreenshots' | 'appletvScreenshots' ? Artwork[] : T[K];
+};
+
+/**
+ * The artwork URL utility
+ */
+export interface ArtworkUtility {
+  /** Splits an mzstatic URL, null for other URLs */
+  parse(url: string): ArtworkParts | null;
+  /** Regenerates an mzstatic URL at another size, crop or format */
+  build(url: string, options?: ArtworkOptions): string;
+}
@@ -0,0 +1,50 @@
+// Circuit breaker types for app-store-scraper
+
+import { Transport, AxiosLike } from './common';
+
+/**
+ * Options accepted by breaker.configure()
+ */
+export interface BreakerOptions {
+  /** Make every call without a `circuitBreaker` option go through the process-wide breaker (default: false) */
+  enabled?: boolean;
+  /** Consecutive failures opening a circuit (default: 5) */
+  threshold?: number;
+  /** Milliseconds a circuit stays open before a probe request is let through (default: 30000) */
+  resetTimeout?: number;
+  /** Returns the key grouping URLs in a circuit (default: host and path without ids) */
+  endpoint?: ((url: string) => string) | null;
+}
+
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+/**
+ * State of the circuit of an endpoint
+ */
+export interface CircuitStats {
+  endpoint: string;
+  state: CircuitState;
+  /** Consecutive failures */
+  failures: number;
+  /** When the circuit opened (ms timestamp), null if closed */
+  openedAt: number | null;
+  /** When a probe will be let through (ms timestamp), null if closed */
+  retryAt: number | null;
+}
+
+/**
+ * Circuit breaker, one circuit per upstream endpoint and transport. Circuits
+ * are those of the default transport unless a transport is given.
+ */
+export declare class CircuitBreaker {
+  constructor(options?: BreakerOptions);
+  configure(options: BreakerOptions): CircuitBreaker;
+  /** Returns the circuit of an endpoint, given as a URL or an endpoint key */
+  state(urlOrEndpoint: string, transport?: Transport | AxiosLike): CircuitStats;
+  /** Returns every known circuit, by endpoint key */
+  stats(transport?: Transport | AxiosLike): { [endpoint: string]: CircuitStats };
+  /** Closes the circuit of an endpoint, or every circuit of every transport */
+  reset(urlOrEndpoint?: string, transport?: Transport | AxiosLike): void;
+  /** Returns the endpoint key of a URL */
+  endpointOf(url: string): string;
+}
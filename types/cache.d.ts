@@ -0,0 +1,63 @@
+// Cache types for app-store-scraper
+
+/**
+ * A cached result with its freshness timestamps (milliseconds since epoch)
+ */
+export interface CacheEntry {
+  value: any;
+  storedAt: number;
+  /** Served as fresh until then */
+  expiresAt: number;
+  /** Served as stale, while being refreshed, until then */
+  staleUntil: number;
+}
+
+/**
+ * Storage backend for cached results. Methods may be sync or async.
+ */
+export interface CacheStore {
+  get(key: string): CacheEntry | undefined | Promise<CacheEntry | undefined>;
+  set(key: string, entry: CacheEntry): void | Promise<void>;
+  delete(key: string): void | Promise<void>;
+  /** Remove every key starting with prefix, or everything without it */
+  clear(prefix?: string): void | Promise<void>;
+}
+
+/**
+ * In-memory store evicting the least recently used entries
+ */
+export declare class MemoryStore implements CacheStore {
+  constructor(options?: { max?: number });
+  get(key: string): Promise<CacheEntry | undefined>;
+  set(key: string, entry: CacheEntry): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(prefix?: string): Promise<void>;
+}
+
+/**
+ * File-system store, one JSON file per entry
+ */
+export declare class FileStore implements CacheStore {
+  constructor(options: { dir: string });
+  get(key: string): Promise<CacheEntry | undefined>;
+  set(key: string, entry: CacheEntry): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(prefix?: string): Promise<void>;
+  /** Delete the entries past their stale period, resolves to how many were deleted */
+  prune(): Promise<number>;
+}
+
+/**
+ * Milliseconds, either for every method or per method name with a default
+ */
+export type PerMethodDuration = number | { default?: number; [method: string]: number | undefined };
+
+/**
+ * Explicit invalidation of cached results
+ */
+export interface CacheControl {
+  /** Drop the result cached for these options, or every result of the method */
+  invalidate(method: string, options?: object): Promise<void>;
+  /** Drop every cached result */
+  clear(): Promise<void>;
+}
@@ -1,5 +1,8 @@
 // Common types used across the app-store-scraper library
 
+import { Hooks } from './events';
+import { CircuitBreaker } from './breaker';
+
 /**
  * ISO 3166-1 alpha-2 country codes supported by the iTunes Store
  */
@@ -128,6 +131,79 @@ export interface AppMetadata {
   version: string;
 }
 
+/**
+ * Request handed to a transport
+ */
+export interface TransportRequest {
+  url: string;
+  method: string;
+  headers: { [key: string]: string };
+  /** Fires when the call making this request is aborted */
+  signal?: AbortSignal;
+  /** Any other request option (timeout, data...) */
+  [option: string]: any;
+}
+
+/**
+ * Response a transport must resolve to, whatever the HTTP status is
+ */
+export interface TransportResponse {
+  status: number;
+  statusText?: string;
+  headers?: { [key: string]: string };
+  data: any;
+}
+
+/**
+ * Performs a single HTTP exchange. Should only reject when no response was received.
+ */
+export type Transport = (request: TransportRequest) => Promise<TransportResponse>;
+
+/**
+ * Minimal shape of an axios instance, accepted wherever a transport is
+ */
+export interface AxiosLike {
+  request(config: any): Promise<any>;
+}
+
+/**
+ * Retry policy for failed requests. Every field is optional and falls back to the default policy.
+ */
+export interface RetryOptions {
+  /** Total number of attempts, including the first one (default: 3) */
+  attempts?: number;
+  /** Delay before the first retry in milliseconds (default: 1000) */
+  baseDelay?: number;
+  /** Upper bound for the exponential backoff in milliseconds (default: 30000) */
+  maxDelay?: number;
+  /** Backoff multiplier (default: 2) */
+  factor?: number;
+  /** Random spread applied to each delay, as a fraction of it (default: 0.2) */
+  jitter?: number;
+  /** Give up instead of honoring a Retry-After longer than this, in milliseconds (default: 60000) */
+  maxRetryAfter?: number;
+  /** Error classes that are always retried (default: RateLimitError, ServiceUnavailableError) */
+  errors?: Array<new (...args: any[]) => Error>;
+  /** HTTP status codes that are retried (default: 429, 500, 502, 503, 504) */
+  statusCodes?: number[];
+  /** Retry when no response was received at all (default: true) */
+  networkFailures?: boolean;
+}
+
+/**
+ * One entry of the attempt history attached to `error.details.attempts`
+ */
+export interface RetryAttempt {
+  attempt: number;
+  error: string;
+  code?: string;
+  statusCode?: number;
+  /** ISO timestamp of the failure */
+  at: string;
+  /** Milliseconds waited before the next attempt */
+  delay?: number;
+}
+
 /**
  * Base options that most methods accept
  */
@@ -138,6 +214,22 @@ export interface BaseOptions {
   lang?: LanguageCode;
   /** Custom request options */
   requestOptions?: RequestOptions;
-  /** Request throttling limit (requests per second) */
+  /** Request throttling limit (requests per second), shared by every call to the same host */
   throttle?: number;
+  /** Retry failed requests: true for the default policy, or a custom policy (default: no retries) */
+  retry?: boolean | RetryOptions;
+  /** Replaces the network layer: a transport function or an axios instance */
+  transport?: Transport | AxiosLike;
+  /** Share identical concurrent GET/HEAD requests in a single network call (default: true) */
+  coalesce?: boolean;
+  /** Cancels the call and every request it makes, rejecting with an AbortError */
+  signal?: AbortSignal;
+  /** Overall time limit for the call in milliseconds, all steps included */
+  timeout?: number;
+  /** Request lifecycle hooks: beforeRequest, afterResponse, onError */
+  hooks?: Hooks;
+  /** Fail fast on failing endpoints: true for the process-wide breaker, or a breaker of its own (default: the process-wide one once enabled) */
+  circuitBreaker?: boolean | CircuitBreaker;
+  /** Return icon and screenshot URLs as Artwork objects, see WithArtwork (default: false) */
+  artwork?: boolean;
 }
\ No newline at end of file
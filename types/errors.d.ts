@@ -12,7 +12,11 @@ export type ErrorCode =
   | 'RATE_LIMITED'
   | 'SERVICE_UNAVAILABLE'
   | 'PARSE_ERROR'
-  | 'INVALID_RESPONSE';
+  | 'INVALID_RESPONSE'
+  | 'FIXTURE_NOT_FOUND'
+  | 'ABORTED'
+  | 'TIMEOUT'
+  | 'CIRCUIT_OPEN';
 
 export interface ErrorDetails {
   [key: string]: any;
@@ -91,8 +95,46 @@ export declare class ParseError extends AppStoreError {
 export declare class ServiceUnavailableError extends NetworkError {
   readonly name: 'ServiceUnavailableError';
   readonly code: 'SERVICE_UNAVAILABLE';
+  /** Raw Retry-After header value, if Apple sent one */
+  readonly retryAfter?: string | number;
   
-  constructor(message?: string);
+  constructor(message?: string, retryAfter?: string | number);
+}
+
+/**
+ * Raised in fixture replay mode for requests that were never recorded
+ */
+export declare class FixtureNotFoundError extends AppStoreError {
+  readonly name: 'FixtureNotFoundError';
+  readonly code: 'FIXTURE_NOT_FOUND';
+
+  constructor(message: string, details?: ErrorDetails);
+}
+
+/**
+ * Raised without making the request while the circuit of an endpoint is open
+ */
+export declare class CircuitOpenError extends AppStoreError {
+  readonly name: 'CircuitOpenError';
+  readonly code: 'CIRCUIT_OPEN';
+  /** Endpoint key of the open circuit */
+  readonly endpoint: string;
+  /** When a probe request will be let through (ms timestamp) */
+  readonly retryAt: number;
+
+  constructor(message: string, details?: ErrorDetails);
+}
+
+/**
+ * Raised when a call is cancelled through its `signal` or runs past its `timeout`
+ */
+export declare class AbortError extends AppStoreError {
+  readonly name: 'AbortError';
+  readonly code: 'ABORTED' | 'TIMEOUT';
+  /** What stopped the call */
+  readonly reason: 'signal' | 'timeout';
+
+  constructor(message?: string, reason?: 'signal' | 'timeout', details?: ErrorDetails);
 }
 
 /**
@@ -127,7 +169,17 @@ export declare namespace ErrorHelpers {
   /**
    * Create a parse error for invalid response data
    */
-  function invalidResponse(expectedFormat: string, actualContent?: string): ParseError;
+  function invalidResponse(expectedFormat: string, actualContent?: unknown): ParseError;
+
+  /**
+   * Create a parse error for an apps.apple.com page without the amp-api token
+   */
+  function tokenNotFound(url: string): ParseError;
+
+  /**
+   * Whether an error must reach the caller even from steps whose failures are otherwise tolerated
+   */
+  function isFatal(error: unknown): boolean;
 }
 
 /**
@@ -140,4 +192,7 @@ export type AppStoreScraperError =
   | NetworkError
   | RateLimitError
   | ParseError
-  | ServiceUnavailableError;
\ No newline at end of file
+  | ServiceUnavailableError
+  | FixtureNotFoundError
+  | AbortError
+  | CircuitOpenError;
\ No newline at end of file
@@ -0,0 +1,74 @@
+// Instrumentation types for app-store-scraper
+
+import { EventEmitter } from 'events';
+import { TransportRequest, TransportResponse } from './common';
+
+/**
+ * What every hook and event knows about the request
+ */
+export interface RequestInfo {
+  /** Public method that made the request (app, search...) */
+  method?: string;
+  url: string | null;
+  /** HTTP method (GET, HEAD...) */
+  httpMethod?: string;
+  /** Two letter country code of the storefront */
+  storefront: string;
+  /** Attempt number, greater than 1 when retrying */
+  attempt?: number;
+  /** HTTP status, null before a response was received */
+  status: number | null;
+  /** Time spent by the transport in milliseconds, null before it answered */
+  duration: number | null;
+}
+
+export interface RetryEvent extends RequestInfo {
+  /** Wait before the next attempt in milliseconds */
+  delay: number;
+  error: Error;
+}
+
+export interface CacheHitEvent extends RequestInfo {
+  key: string;
+  /** Whether the entry is expired and being refreshed in the background */
+  stale: boolean;
+  /** Time since the entry was stored in milliseconds */
+  age: number;
+}
+
+export interface ParseErrorEvent {
+  method: string;
+  /** Last URL requested by the call */
+  url: string | null;
+  storefront: string;
+  error: Error;
+}
+
+type Hook<T> = (value: T, info: RequestInfo) => T | void | Promise<T | void>;
+
+/**
+ * Per-call (or per-client) request hooks. Each one may be a function or an
+ * array of functions run in order
+ */
+export interface Hooks {
+  /** Called before each request is sent, may change or replace it */
+  beforeRequest?: Hook<TransportRequest> | Array<Hook<TransportRequest>>;
+  /** Called with each response, whatever the status, may replace it */
+  afterResponse?: Hook<TransportResponse> | Array<Hook<TransportResponse>>;
+  /** Called with the typed error of each failed request */
+  onError?: ((error: Error, info: RequestInfo) => void | Promise<void>) | Array<(error: Error, info: RequestInfo) => void | Promise<void>>;
+}
+
+/**
+ * Process-wide instrumentation emitter
+ */
+export interface Events extends EventEmitter {
+  on(event: 'request' | 'response', listener: (event: RequestInfo) => void): this;
+  on(event: 'retry', listener: (event: RetryEvent) => void): this;
+  on(event: 'cache-hit', listener: (event: CacheHitEvent) => void): this;
+  on(event: 'parse-error', listener: (event: ParseErrorEvent) => void): this;
+  once(event: 'request' | 'response', listener: (event: RequestInfo) => void): this;
+  once(event: 'retry', listener: (event: RetryEvent) => void): this;
+  once(event: 'cache-hit', listener: (event: CacheHitEvent) => void): this;
+  once(event: 'parse-error', listener: (event: ParseErrorEvent) => void): this;
+}
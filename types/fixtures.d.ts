@@ -0,0 +1,24 @@
+// Fixture record/replay types for app-store-scraper
+
+import { Transport, TransportRequest, AxiosLike } from './common';
+
+export type FixtureMode = 'record' | 'replay';
+
+/**
+ * Record/replay helpers for offline runs
+ */
+export interface Fixtures {
+  /** Normalized key of a request: method, sorted URL and response-affecting headers */
+  fixtureKey(request: TransportRequest): string;
+  /** Wrap a transport (default: axios) so that every exchange is saved to dir */
+  recorder(dir: string, transport?: Transport | AxiosLike): Transport;
+  /** Transport serving the fixtures in dir, rejecting unmatched requests with FixtureNotFoundError */
+  replayer(dir: string): Transport;
+  /** Make the default transport record to dir */
+  record(dir: string): void;
+  /** Make the default transport replay from dir */
+  replay(dir: string): void;
+  /** Go back to the network */
+  disable(): void;
+  use(mode: FixtureMode | null, dir?: string): void;
+}
@@ -14,6 +14,8 @@ export interface ListOptions extends BaseOptions {
   category?: CategoryValue;
   /** Number of results (1-200, default: 50) */
   num?: number;
+  /** Add a `meta` provenance block to the results (default: false) */
+  meta?: boolean;
 }
 
 /**
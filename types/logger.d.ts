@@ -0,0 +1,43 @@
+// Logging types for app-store-scraper
+
+export type LogLevel = 'error' | 'warn' | 'info' | 'debug';
+
+/**
+ * Structured fields of a log entry. `namespace` is the module that logged it
+ */
+export interface LogFields {
+  namespace: string;
+  [field: string]: any;
+}
+
+/**
+ * Logger receiving the library entries: console, winston, a pino wrapper...
+ */
+export type Logger = {
+  [level in LogLevel]?: (message: string, fields: LogFields) => void;
+} & {
+  /** Used for the levels the logger does not implement */
+  log?: (message: string, fields: LogFields) => void;
+};
+
+/**
+ * Options accepted by logger.configure()
+ */
+export interface LoggerOptions {
+  /** Where entries go, null for the debug package (default) */
+  logger?: Logger | null;
+  /** Most verbose level to log (default: 'debug') */
+  level?: LogLevel;
+  /** Extra header and query parameter names to mask, or false to log everything as is */
+  redact?: false | { headers?: string[]; params?: string[] };
+}
+
+/**
+ * Process-wide logging settings
+ */
+export interface LoggerControl {
+  configure(options: LoggerOptions): void;
+  /** Returns a copy of a value with sensitive headers, bearer tokens and query parameters masked */
+  redact<T>(value: T): T;
+  readonly LEVELS: LogLevel[];
+}
@@ -0,0 +1,50 @@
+// Provenance metadata types for app-store-scraper
+
+/**
+ * A response a result was built from
+ */
+export interface MetaSource {
+  /** Endpoint name, e.g. 'lookup', 'ratings', 'appPage' */
+  endpoint: string | null;
+  url: string;
+  status: number;
+  /** When the request was sent (ISO 8601) */
+  fetchedAt: string;
+  /** Content-Language of the response, if any */
+  language: string | null;
+}
+
+/**
+ * `meta` block added to results when the `meta` option is set
+ */
+export interface ResultMeta {
+  sources: MetaSource[];
+  /** Numeric storefront id, e.g. '143441' */
+  storefront: string;
+  /** Two-letter country code, lowercased */
+  country: string;
+  language: {
+    /** The `lang` option */
+    requested: string | null;
+    /** Content-Language reported by the first response carrying one */
+    received: string | null;
+  };
+  /** When the first request was sent (ISO 8601) */
+  fetchedAt: string;
+  /** Whether the result was served from the cache */
+  cached: boolean;
+}
+
+export type ScreenshotOrigin = 'itunes-api' | 'screenshot-fallback' | null;
+
+/**
+ * `meta` block of app() results
+ */
+export interface AppResultMeta extends ResultMeta {
+  /** Where each platform's screenshots came from, null when there are none */
+  screenshots: {
+    iphone: ScreenshotOrigin;
+    ipad: ScreenshotOrigin;
+    appletv: ScreenshotOrigin;
+  };
+}
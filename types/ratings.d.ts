@@ -1,13 +1,18 @@
 // Ratings-related types for app-store-scraper
 
 import { BaseOptions } from './common';
+import { ResultMeta } from './meta';
 
 /**
  * Options for the ratings() method
  */
 export interface RatingsOptions extends BaseOptions {
-  /** App Store ID (numeric) - required */
-  id: string | number;
+  /** App Store ID (numeric) - either this or url is required */
+  id?: string | number;
+  /** App Store link - alternative to id, its country is used unless `country` is set */
+  url?: string;
+  /** Add a `meta` provenance block to the results (default: false) */
+  meta?: boolean;
 }
 
 /**
@@ -24,6 +29,8 @@ export interface RatingsResult {
   currentVersionScore?: number;
   /** Current version number of ratings */
   currentVersionReviews?: number;
+  /** Provenance of the data (if meta option is true) */
+  meta?: ResultMeta;
 }
 
 /**
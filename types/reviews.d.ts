@@ -2,6 +2,7 @@
 
 import { BaseOptions } from './common';
 import { SortValue } from './constants';
+import { ResultMeta } from './meta';
 
 /**
  * Options for the reviews() method
@@ -11,10 +12,14 @@ export interface ReviewsOptions extends BaseOptions {
   id?: string | number;
   /** Bundle identifier (com.company.app) - either this or id is required */
   appId?: string;
+  /** App Store link (apps.apple.com, itunes.apple.com, itms-apps://) - alternative to id and appId, its country is used unless `country` is set */
+  url?: string;
   /** Sort order for reviews (default: 'mostRecent') */
   sort?: SortValue;
   /** Page number (1-10, default: 1) */
   page?: number;
+  /** Add a `meta` provenance block to the results (default: false) */
+  meta?: boolean;
 }
 
 /**
@@ -41,4 +46,6 @@ export interface ReviewResult {
   voteCount: number;
   /** Sum of vote scores */
   voteSum: number;
+  /** Provenance of the data (if meta option is true) */
+  meta?: ResultMeta;
 }
\ No newline at end of file
@@ -0,0 +1,58 @@
+// Request scheduling types for app-store-scraper
+
+/**
+ * Rate budget for a host and its subdomains
+ */
+export interface HostBudget {
+  /** Maximum number of requests started per window */
+  maxRequests: number;
+  /** Window length in milliseconds (default: 1000) */
+  perMilliseconds?: number;
+}
+
+/**
+ * Options accepted by scheduler.configure()
+ */
+export interface SchedulerOptions {
+  /** Maximum number of requests in flight across the whole process (default: 10) */
+  concurrency?: number;
+  /** Per-host budgets, merged with the current ones. Use null to remove a budget */
+  hosts?: { [host: string]: HostBudget | null };
+}
+
+/**
+ * Activity of a single host budget
+ */
+export interface HostStats {
+  /** Requests currently in flight */
+  active: number;
+  /** Requests waiting in the queue */
+  queued: number;
+  /** Requests started within the current window */
+  recent: number;
+  maxRequests: number;
+  perMilliseconds: number;
+}
+
+/**
+ * Snapshot returned by scheduler.stats()
+ */
+export interface SchedulerStats {
+  /** Requests currently in flight */
+  active: number;
+  /** Total queue depth */
+  queued: number;
+  /** Global concurrency cap */
+  concurrency: number;
+  /** Activity per host budget */
+  hosts: { [host: string]: HostStats };
+}
+
+/**
+ * Process-wide scheduler every request goes through
+ */
+export interface Scheduler {
+  configure(options: SchedulerOptions): Scheduler;
+  schedule<T>(url: string, task: () => Promise<T>, options?: { throttle?: number }): Promise<T>;
+  stats(): SchedulerStats;
+}
@@ -0,0 +1,66 @@
+// Response schema types for app-store-scraper
+
+import { ParseError } from './errors';
+
+/**
+ * Endpoints with a declared response schema
+ */
+export type SchemaEndpoint =
+  | 'lookup'
+  | 'search'
+  | 'list'
+  | 'reviews'
+  | 'ratings'
+  | 'suggest'
+  | 'privacy'
+  | 'versionHistory'
+  | 'inAppPurchases'
+  | 'appPage'
+  | 'ampCatalog';
+
+/**
+ * `details` of the ParseError thrown when a response breaks its schema
+ */
+export interface SchemaViolationDetails {
+  endpoint: SchemaEndpoint;
+  /** Path of the offending value, e.g. `$.feed.entry[0]["im:artist"].label` or a CSS selector */
+  path: string;
+  expected: string;
+  actual: string;
+  /** Truncated excerpt of the payload around the offending value */
+  sample: string;
+}
+
+/**
+ * Options of selfCheck()
+ */
+export interface SelfCheckOptions {
+  /** Directory the fixtures were recorded to with fixtures.record() */
+  dir: string;
+}
+
+/**
+ * Outcome of parsing one recorded response
+ */
+export interface SelfCheckEntry {
+  endpoint: SchemaEndpoint;
+  url: string;
+  file: string;
+  ok: boolean;
+  /** Usually a ParseError with SchemaViolationDetails */
+  error?: ParseError | Error;
+}
+
+/**
+ * Result of selfCheck()
+ */
+export interface SelfCheckResult {
+  /** Whether every recorded response was parsed */
+  ok: boolean;
+  /** Number of recorded responses parsed */
+  checked: number;
+  failed: SelfCheckEntry[];
+  results: SelfCheckEntry[];
+  /** Endpoints without any recorded response */
+  untested: SchemaEndpoint[];
+}
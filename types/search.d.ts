@@ -15,6 +15,8 @@ export interface SearchOptions extends BaseOptions {
   page?: number;
   /** Return only app IDs instead of full app data (default: false) */
   idsOnly?: boolean;
+  /** Add a `meta` provenance block to the results (default: false) */
+  meta?: boolean;
 }
 
 /**
@@ -0,0 +1,16 @@
+// App Store link types for app-store-scraper
+
+/**
+ * What parseUrl() reads from an App Store link
+ */
+export interface ParsedUrl {
+  type: 'app' | 'developer';
+  /** Track id of an app, artist id of a developer */
+  id: string;
+  /** Lowercased country of the storefront, null when the link has none */
+  country: string | null;
+  /** `platform` parameter, or 'mac' for Mac App Store links, null otherwise */
+  platform: 'iphone' | 'ipad' | 'mac' | 'appletv' | 'watch' | 'vision' | null;
+  /** Custom product page id (`ppid` parameter) */
+  productPageId: string | null;
+}